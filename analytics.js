@@ -0,0 +1,363 @@
+// analytics.js - Per-rep records built from the monitor stream
+//
+// The rep notification only says that a rep finished. RepAnalyzer keeps the
+// monitor samples since the previous rep and, when the next one completes,
+// turns them into a record:
+//   { rep, warmup, romA, romB, concentricSec, eccentricSec,
+//     peakLoadA, peakLoadB, meanLoadA, meanLoadB, meanVelocity, peakVelocity,
+//     romDiffPct, peakLoadDiffPct, topOffsetSec }
+// Positions are the device's raw units; velocities are those units per second,
+// timed by the monitor's tick counter. VelocityLossTracker uses the mean
+// concentric velocity of each rep for velocity-based training.
+//
+// Asymmetry fields compare cable A (right) with cable B (left): differences are
+// signed percentages of the larger side, positive when the right does more, and
+// topOffsetSec is how much later the left cable reaches the top. They are null
+// when only one cable was used.
+
+// A cable counts as used in a rep when it moves further than this
+const REP_MIN_ACTIVE_ROM = 50;
+
+// The pull starts once the cables rise this fraction of the rep's range above
+// the bottom; the pause before it is flat apart from sensor noise
+const REP_MOTION_THRESHOLD = 0.05;
+
+// Fallback tick rate until enough samples have arrived to measure it
+const DEFAULT_TICKS_PER_SECOND = 100;
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function averageOf(values) {
+  return values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+}
+
+// Right (A) against left (B) as a signed percent of the larger side
+function imbalancePercent(a, b) {
+  const larger = Math.max(Math.abs(a), Math.abs(b));
+  return larger > 0 ? roundTo(((a - b) / larger) * 100, 1) : 0;
+}
+
+function indexOfMax(samples, key) {
+  let best = 0;
+  samples.forEach((s, i) => {
+    if (s[key] > samples[best][key]) {
+      best = i;
+    }
+  });
+  return best;
+}
+
+// Build a record from the samples of one rep (bottom to bottom). The top is
+// the highest point of the cables that moved, which is more precise than the
+// top notification since that arrives with polling delay.
+function analyzeRepSamples(samples, ticksPerSecond) {
+  const romA =
+    Math.max(...samples.map((s) => s.posA)) -
+    Math.min(...samples.map((s) => s.posA));
+  const romB =
+    Math.max(...samples.map((s) => s.posB)) -
+    Math.min(...samples.map((s) => s.posB));
+
+  // Average the position of the cables in use (both if neither moved enough)
+  const useA = romA >= REP_MIN_ACTIVE_ROM || romB < REP_MIN_ACTIVE_ROM;
+  const useB = romB >= REP_MIN_ACTIVE_ROM || romA < REP_MIN_ACTIVE_ROM;
+  const position = (s) =>
+    useA && useB ? (s.posA + s.posB) / 2 : useA ? s.posA : s.posB;
+
+  let top = 0;
+  samples.forEach((s, i) => {
+    if (position(s) > position(samples[top])) {
+      top = i;
+    }
+  });
+  const bottom = Math.min(...samples.slice(0, top + 1).map(position));
+  const leftBottom =
+    bottom + (position(samples[top]) - bottom) * REP_MOTION_THRESHOLD;
+  let start = 0;
+  for (let i = 0; i <= top; i++) {
+    if (position(samples[i]) <= leftBottom) {
+      start = i;
+    }
+  }
+
+  const seconds = (from, to) =>
+    Math.max(0, samples[to].ticks - samples[from].ticks) / ticksPerSecond;
+  const concentricSec = seconds(start, top);
+  const eccentricSec = seconds(top, samples.length - 1);
+
+  // Concentric velocity: mean over the whole pull, peak between samples
+  let peakVelocity = 0;
+  for (let i = start + 1; i <= top; i++) {
+    const dt = seconds(i - 1, i);
+    if (dt > 0) {
+      peakVelocity = Math.max(
+        peakVelocity,
+        (position(samples[i]) - position(samples[i - 1])) / dt,
+      );
+    }
+  }
+  const meanVelocity =
+    concentricSec > 0
+      ? (position(samples[top]) - position(samples[start])) / concentricSec
+      : 0;
+
+  const peakLoadA = Math.max(...samples.map((s) => s.loadA));
+  const peakLoadB = Math.max(...samples.map((s) => s.loadB));
+  const bilateral = romA >= REP_MIN_ACTIVE_ROM && romB >= REP_MIN_ACTIVE_ROM;
+  const topA = indexOfMax(samples, "posA");
+  const topB = indexOfMax(samples, "posB");
+
+  return {
+    romA: Math.round(romA),
+    romB: Math.round(romB),
+    concentricSec: roundTo(concentricSec, 2),
+    eccentricSec: roundTo(eccentricSec, 2),
+    peakLoadA: roundTo(peakLoadA, 1),
+    peakLoadB: roundTo(peakLoadB, 1),
+    meanLoadA: roundTo(averageOf(samples.map((s) => s.loadA)), 1),
+    meanLoadB: roundTo(averageOf(samples.map((s) => s.loadB)), 1),
+    meanVelocity: Math.round(meanVelocity),
+    peakVelocity: Math.round(peakVelocity),
+    romDiffPct: bilateral ? imbalancePercent(romA, romB) : null,
+    peakLoadDiffPct: bilateral ? imbalancePercent(peakLoadA, peakLoadB) : null,
+    topOffsetSec: bilateral
+      ? roundTo((samples[topB].ticks - samples[topA].ticks) / ticksPerSecond, 2)
+      : null,
+  };
+}
+
+// The larger of a record's ROM and peak load differences, or null for one cable
+function repImbalance(record) {
+  return record && typeof record.romDiffPct === "number"
+    ? Math.max(Math.abs(record.romDiffPct), Math.abs(record.peakLoadDiffPct))
+    : null;
+}
+
+// Average asymmetry over a set's working reps for history:
+// { reps, romDiffPct, peakLoadDiffPct, topOffsetSec, imbalancePct }, or null
+function summarizeAsymmetry(records) {
+  const bilateral = (records || []).filter(
+    (record) => !record.warmup && repImbalance(record) !== null,
+  );
+  if (bilateral.length === 0) {
+    return null;
+  }
+  const mean = (key) =>
+    roundTo(averageOf(bilateral.map((record) => record[key])), 1);
+  return {
+    reps: bilateral.length,
+    romDiffPct: mean("romDiffPct"),
+    peakLoadDiffPct: mean("peakLoadDiffPct"),
+    topOffsetSec: roundTo(
+      averageOf(bilateral.map((record) => record.topOffsetSec)),
+      2,
+    ),
+    imbalancePct: roundTo(averageOf(bilateral.map(repImbalance)), 1),
+  };
+}
+
+// "R +8%" / "L +8%" / "even" for a signed imbalance percent
+function formatImbalance(percent) {
+  if (typeof percent !== "number") {
+    return "-";
+  }
+  if (Math.abs(percent) < 0.5) {
+    return "even";
+  }
+  return `${percent > 0 ? "R" : "L"} +${Math.abs(percent).toFixed(0)}%`;
+}
+
+// Collects monitor samples for a set and cuts them into per-rep records
+class RepAnalyzer {
+  constructor() {
+    this.reset();
+  }
+
+  // Start a new set. `timeScale` is how many times faster than real time the
+  // samples arrive (the speed of a replayed session).
+  reset(timeScale = 1) {
+    this.samples = []; // Samples since the previous rep completed
+    this.records = [];
+    this.firstSample = null; // For measuring the tick rate
+    this.lastSample = null;
+    this.timeScale = timeScale;
+  }
+
+  addSample(sample) {
+    if (!this.firstSample) {
+      this.firstSample = sample;
+    }
+    // Monitor reads can repeat a sample when nothing new arrived
+    if (this.lastSample && sample.ticks === this.lastSample.ticks) {
+      return;
+    }
+    this.lastSample = sample;
+    this.samples.push(sample);
+  }
+
+  // Device ticks per second, measured against wall-clock time (scaled back to
+  // real time during a replay)
+  ticksPerSecond() {
+    const first = this.firstSample;
+    const last = this.lastSample;
+    if (!first || !last) {
+      return DEFAULT_TICKS_PER_SECOND;
+    }
+    const elapsedSec =
+      ((last.timestamp - first.timestamp) / 1000) * this.timeScale;
+    const ticks = last.ticks - first.ticks;
+    return elapsedSec >= 2 && ticks > 0
+      ? ticks / elapsedSec
+      : DEFAULT_TICKS_PER_SECOND;
+  }
+
+  // Close the rep that just completed. `rep` is the working rep number, or
+  // null for a warmup rep. Returns the record, or null without enough samples.
+  completeRep(rep) {
+    const samples = this.samples;
+    // The bottom of this rep starts the next one
+    this.samples = this.lastSample ? [this.lastSample] : [];
+    if (samples.length < 3) {
+      return null;
+    }
+
+    const record = {
+      rep,
+      warmup: rep === null,
+      ...analyzeRepSamples(samples, this.ticksPerSecond()),
+    };
+    this.records.push(record);
+    return record;
+  }
+
+  // Records for working reps only
+  workingRecords() {
+    return this.records.filter((record) => !record.warmup);
+  }
+}
+
+// Velocity-based training: the set ends once mean concentric velocity has
+// dropped `lossPercent` below the best working rep, instead of at a rep target
+const VBT_DEFAULTS = {
+  lossPercent: 20,
+  zoneMin: 0, // Target velocity zone in position units per second; 0 leaves
+  zoneMax: 0, // that side open
+};
+
+const VelocityZone = {
+  BELOW: "below",
+  IN: "in",
+  ABOVE: "above",
+};
+
+// Where a velocity falls against a target zone, or null when there is no zone
+function velocityZone(velocity, zoneMin, zoneMax) {
+  if (!(zoneMin > 0) && !(zoneMax > 0)) {
+    return null;
+  }
+  if (zoneMin > 0 && velocity < zoneMin) {
+    return VelocityZone.BELOW;
+  }
+  if (zoneMax > 0 && velocity > zoneMax) {
+    return VelocityZone.ABOVE;
+  }
+  return VelocityZone.IN;
+}
+
+// Follows mean concentric velocity over a set's working reps
+class VelocityLossTracker {
+  constructor(options = {}) {
+    const config = { ...VBT_DEFAULTS, ...options };
+    this.lossThreshold = config.lossPercent;
+    this.zoneMin = config.zoneMin;
+    this.zoneMax = config.zoneMax;
+    this.reps = 0;
+    this.bestVelocity = null;
+    this.lastVelocity = null;
+    this.stopped = false; // Set ended by velocity loss
+  }
+
+  // Add a rep record from RepAnalyzer; true once the loss reaches the threshold.
+  // The best rep needs a slower one after it, so at least two reps are needed.
+  addRep(record) {
+    if (!record || record.warmup || record.meanVelocity <= 0) {
+      return false;
+    }
+    this.reps++;
+    this.lastVelocity = record.meanVelocity;
+    this.bestVelocity = Math.max(this.bestVelocity || 0, record.meanVelocity);
+    return this.reps >= 2 && this.lossPercent() >= this.lossThreshold;
+  }
+
+  // Drop of the latest rep from the best one, in percent
+  lossPercent() {
+    return this.bestVelocity
+      ? roundTo((1 - this.lastVelocity / this.bestVelocity) * 100, 1)
+      : 0;
+  }
+
+  zone(velocity = this.lastVelocity) {
+    return velocity === null
+      ? null
+      : velocityZone(velocity, this.zoneMin, this.zoneMax);
+  }
+
+  // Summary for history
+  summary() {
+    return {
+      lossThreshold: this.lossThreshold,
+      zoneMin: this.zoneMin,
+      zoneMax: this.zoneMax,
+      bestVelocity: this.bestVelocity,
+      lastVelocity: this.lastVelocity,
+      lossPercent: this.lossPercent(),
+      stoppedByVelocity: this.stopped,
+    };
+  }
+}
+
+// HTML table of rep records; `formatLoad` renders a kg value in `loadUnit`
+function renderRepTable(records, formatLoad, loadUnit = "kg") {
+  if (!records || records.length === 0) {
+    return `<div class="rep-table-empty">No rep data recorded</div>`;
+  }
+
+  const rows = records
+    .map(
+      (r) => `
+        <tr class="${r.warmup ? "rep-warmup" : ""}">
+          <td>${r.warmup ? "W" : r.rep}</td>
+          <td>${r.romA} / ${r.romB}</td>
+          <td>${r.concentricSec.toFixed(2)} / ${r.eccentricSec.toFixed(2)}</td>
+          <td>${formatLoad(r.peakLoadA)} / ${formatLoad(r.peakLoadB)}</td>
+          <td>${formatLoad(r.meanLoadA)} / ${formatLoad(r.meanLoadB)}</td>
+          <td>${r.meanVelocity} / ${r.peakVelocity}</td>
+          <td>${formatImbalance(r.romDiffPct)} / ${formatImbalance(r.peakLoadDiffPct)}</td>
+          <td>${typeof r.topOffsetSec === "number" ? r.topOffsetSec.toFixed(2) : "-"}</td>
+        </tr>`,
+    )
+    .join("");
+
+  return `
+    <table class="rep-table">
+      <thead>
+        <tr>
+          <th>Rep</th>
+          <th title="Range of motion, right / left">ROM</th>
+          <th title="Concentric / eccentric seconds">Con / Ecc s</th>
+          <th title="Peak load, right / left">Peak ${loadUnit}</th>
+          <th title="Mean load, right / left">Mean ${loadUnit}</th>
+          <th title="Concentric velocity, mean / peak (position units per second)">Vel</th>
+          <th title="Right/left difference in range of motion / peak load">Balance</th>
+          <th title="Seconds the left cable reaches the top after the right">Top Δs</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
@@ -29,12 +29,34 @@ class VitruvianApp {
     this.minRepPosBRange = null; // Min/max uncertainty for cable B bottom
     this.maxRepPosBRange = null; // Min/max uncertainty for cable B top
     this.currentSample = null; // Latest monitor sample
-    this.autoStopStartTime = null; // When we entered the auto-stop danger zone
+    this.autoStop = null; // AutoStopMonitor while a Just Lift set runs
+    this.autoStopTrigger = null; // Auto-stop trigger whose timer is running
+    this.autoStopSettings = this.loadAutoStopSettings(); // Defaults for Just Lift sets
     this.isJustLiftMode = false; // Flag for Just Lift mode with auto-stop
+    this.segmentedSet = null; // SegmentedSet while a drop/rest-pause/cluster set runs
+    this.segmentParams = null; // Program params the segment frames start from
+    this.segmentRest = null; // { resolve, timer } during an intra-set rest
+    this.restartSegments = this.loadRestartSegments(); // Restart the set at weight changes
     this.lastTopCounter = undefined; // Track u16[1] for top detection
+    this.setScope = null; // Device subscriptions that live for the current set
+    this.repAnalyzer = new RepAnalyzer(); // Per-rep records for the current set
+    this.vbt = null; // VelocityLossTracker while a velocity-based set runs
+    this.asymmetrySettings = this.loadAsymmetrySettings(); // { thresholdPct, audioCue }
+    this.repDetector = new PositionRepDetector(); // Fallback for missed rep notifications
+    this.repReconciler = new RepReconciler();
     this.setupLogging();
     this.setupChart();
     this.setupUnitControls();
+    this.setupAsymmetryControls();
+    this.setupRestartSegmentsControl();
+    this.renderAutoStopSettings();
+    this.setupSimulatorControls();
+    this.setupKnownTrainers();
+    this.setupStatusPanel();
+    this.setupHealthPanel();
+    this.setupCustomModes();
+    this.setupCustomEchoLevels();
+    this.setupProtocolLab();
     this.resetRepCountersToEmpty();
     this.updateStopButtonState();
 	
@@ -43,6 +65,7 @@ class VitruvianApp {
     this.planCursor = { index: 0, set: 1 }; // current item & set counter
     this.planRestTimer = null;  // rest countdown handle
     this.planOnWorkoutComplete = null; // hook assigned while plan is running
+    this.planAwaitingReconnect = false; // plan block deferred until the device is back
 
     // initialize plan UI dropdown from storage
     setTimeout(() => {
@@ -55,9 +78,14 @@ class VitruvianApp {
 
   setupLogging() {
     // Connect device logging to UI
-    this.device.onLog = (message, type) => {
-      this.addLogEntry(message, type);
+    this.device.onLog = (message, type, payload) => {
+      this.addLogEntry(message, type, payload);
     };
+    this.logDissector = new LogDissector("logDissector");
+    this.logDissector.render();
+    this.device.on(DeviceEvent.CONNECTION, (state, info) => {
+      this.handleConnectionStateChange(state, info);
+    });
   }
 
   setupChart() {
@@ -88,6 +116,320 @@ class VitruvianApp {
     }
   }
 
+  setupAsymmetryControls() {
+    const thresholdInput = document.getElementById("asymmetryThreshold");
+    const audioCheckbox = document.getElementById("asymmetryAudioCheckbox");
+    if (!thresholdInput || !audioCheckbox) {
+      return;
+    }
+
+    thresholdInput.value = this.asymmetrySettings.thresholdPct;
+    audioCheckbox.checked = this.asymmetrySettings.audioCue;
+    thresholdInput.addEventListener("change", () => {
+      const value = parseFloat(thresholdInput.value);
+      if (
+        isNaN(value) ||
+        value < parseFloat(thresholdInput.min) ||
+        value > parseFloat(thresholdInput.max)
+      ) {
+        thresholdInput.value = this.asymmetrySettings.thresholdPct;
+        return;
+      }
+      this.asymmetrySettings.thresholdPct = value;
+      this.saveAsymmetrySettings();
+    });
+    audioCheckbox.addEventListener("change", () => {
+      this.asymmetrySettings.audioCue = audioCheckbox.checked;
+      this.saveAsymmetrySettings();
+    });
+  }
+
+  setupRestartSegmentsControl() {
+    const checkbox = document.getElementById("restartSegmentsCheckbox");
+    if (!checkbox) {
+      return;
+    }
+
+    checkbox.checked = this.restartSegments;
+    checkbox.addEventListener("change", () => {
+      this.restartSegments = checkbox.checked;
+      this.saveRestartSegments();
+    });
+  }
+
+  setupStatusPanel() {
+    this.statusPanel = new DeviceStatusPanel("deviceStatusPanel");
+    this.device.setPropertyFields(this.statusPanel.getFieldDefinitions());
+    this.statusPanel.onLabelsChanged = (fields) => {
+      this.device.setPropertyFields(fields);
+    };
+    this.device.addPropertyListener((property) => {
+      this.statusPanel.update(property);
+    });
+    this.statusPanel.render();
+  }
+
+  setupHealthPanel() {
+    this.healthPanel = new LinkHealthPanel("linkHealthPanel");
+    const refresh = () => {
+      this.healthPanel.render(
+        this.device.getLinkHealth(),
+        this.device.monitorInterval !== null,
+      );
+    };
+    refresh();
+    setInterval(refresh, 1000);
+  }
+
+  setupCustomModes() {
+    this.customModes = new CustomModeProfiles();
+    this.profileEditor = new ModeProfileEditor(
+      "modeProfileEditor",
+      this.customModes,
+    );
+    this.profileEditor.findUse = (id) =>
+      this.findPlanUsing(
+        (item) => item.type === "exercise" && item.mode === id,
+      );
+    this.profileEditor.onChange = () => {
+      this.populateModeSelect();
+      this.renderPlanUI();
+      if (this.protocolLab) {
+        this.protocolLab.templates = createLabTemplates();
+      }
+    };
+    this.profileEditor.render();
+    this.populateModeSelect();
+  }
+
+  // Fill the Program mode dropdown with built-in and custom modes
+  populateModeSelect() {
+    const modeSelect = document.getElementById("mode");
+    if (!modeSelect) {
+      return;
+    }
+    const selected = parseInt(modeSelect.value);
+    modeSelect.innerHTML = listProgramModes()
+      .map((m) => `<option value="${m.mode}">${m.name}</option>`)
+      .join("");
+    modeSelect.value = String(
+      isKnownProgramMode(selected) ? selected : ProgramMode.OLD_SCHOOL,
+    );
+  }
+
+  setupCustomEchoLevels() {
+    this.customEchoLevels = new CustomEchoLevels();
+    this.echoLevelEditor = new EchoLevelEditor(
+      "echoLevelEditor",
+      this.customEchoLevels,
+    );
+    this.echoLevelEditor.findUse = (id) =>
+      this.findPlanUsing((item) => item.type === "echo" && item.level === id);
+    this.echoLevelEditor.onChange = () => {
+      this.populateEchoLevelSelect();
+      this.renderPlanUI();
+      if (this.protocolLab) {
+        this.protocolLab.templates = createLabTemplates();
+      }
+    };
+    this.echoLevelEditor.render();
+    this.populateEchoLevelSelect();
+  }
+
+  // Fill the Echo level dropdown with built-in and custom levels (values are level + 1)
+  populateEchoLevelSelect() {
+    const levelSelect = document.getElementById("echoLevel");
+    if (!levelSelect) {
+      return;
+    }
+    const selected = parseInt(levelSelect.value) - 1;
+    levelSelect.innerHTML = listEchoLevels()
+      .map((l) => `<option value="${l.level + 1}">${l.name}</option>`)
+      .join("");
+    levelSelect.value = String(
+      (isKnownEchoLevel(selected) ? selected : EchoLevel.HARD) + 1,
+    );
+  }
+
+  // Which plan has a row matching `matches`: "the current plan", a saved plan
+  // or null
+  findPlanUsing(matches) {
+    if (this.planItems.some(matches)) {
+      return "the current plan";
+    }
+    for (const name of this.getAllPlanNames()) {
+      try {
+        const items = JSON.parse(localStorage.getItem(this.planKey(name)));
+        if (Array.isArray(items) && items.some(matches)) {
+          return `saved plan "${name}"`;
+        }
+      } catch {
+        // Skip plans that can't be read
+      }
+    }
+    return null;
+  }
+
+  setupProtocolLab() {
+    this.protocolLab = new ProtocolLab("protocolLab", this.device);
+
+    // Allow ?lab in the URL to open the lab straight away
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("lab")) {
+      this.toggleProtocolLab(true);
+    }
+  }
+
+  // Show or hide the protocol lab card (developer tool)
+  toggleProtocolLab(open) {
+    const card = document.getElementById("protocolLabCard");
+    const button = document.getElementById("protocolLabBtn");
+    if (!card) {
+      return;
+    }
+    const show = open ?? card.classList.contains("hidden");
+    card.classList.toggle("hidden", !show);
+    if (button) {
+      button.textContent = show ? "Close Protocol Lab" : "Open Protocol Lab";
+    }
+    if (show) {
+      this.protocolLab.render();
+      card.scrollIntoView({ behavior: "smooth" });
+    }
+  }
+
+  setupSimulatorControls() {
+    const simulatorCheckbox = document.getElementById("simulatorCheckbox");
+    if (!simulatorCheckbox) {
+      return;
+    }
+
+    // Allow ?simulator in the URL to preselect the simulated trainer
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("simulator")) {
+      simulatorCheckbox.checked = true;
+    }
+  }
+
+  setupKnownTrainers() {
+    this.knownTrainers = new KnownTrainers();
+
+    const autoConnectCheckbox = document.getElementById("autoConnectCheckbox");
+    if (autoConnectCheckbox) {
+      autoConnectCheckbox.checked = this.knownTrainers.autoConnect;
+    }
+    this.renderKnownTrainers();
+
+    // Reconnect to the last trainer once the rest of the UI is set up
+    setTimeout(() => this.autoConnectOnLoad(), 0);
+  }
+
+  async autoConnectOnLoad() {
+    const trainer = this.knownTrainers.last();
+    if (!this.knownTrainers.autoConnect || !trainer) {
+      return;
+    }
+
+    this.useTransport(trainer.simulated);
+    if (!this.device.supportsKnownDevices()) {
+      this.addLogEntry(
+        "Auto-connect skipped: this browser can't list paired devices (getDevices)",
+        "info",
+      );
+      return;
+    }
+    await this.connectKnownTrainer(trainer.id);
+  }
+
+  setAutoConnect(enabled) {
+    this.knownTrainers.setAutoConnect(enabled);
+  }
+
+  renderKnownTrainers() {
+    const container = document.getElementById("knownTrainers");
+    if (!container || !this.knownTrainers) return;
+
+    const trainers = this.knownTrainers.list();
+    if (trainers.length === 0) {
+      container.innerHTML = `
+        <div style="color: #6c757d; font-size: 0.85em;">
+          Trainers you connect to are remembered here
+        </div>
+      `;
+      return;
+    }
+
+    const connectedId =
+      this.device.isConnected && this.device.transport
+        ? this.device.transport.id
+        : null;
+    // Nicknames are typed by the user and names come from the device, so
+    // neither can be dropped into the markup as-is
+    const escape = (text) =>
+      String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    container.innerHTML = trainers
+      .map((trainer) => {
+        const isConnected = trainer.id === connectedId;
+        return `
+          <div class="trainer-item${isConnected ? " connected" : ""}">
+            <div class="trainer-name">
+              ${escape(trainer.nickname)}
+              <span>${escape(trainer.name)}${trainer.simulated ? " (simulated)" : ""}</span>
+            </div>
+            <div class="trainer-actions">
+              <button onclick="app.connectKnownTrainer('${trainer.id}')" ${connectedId ? "disabled" : ""}>${isConnected ? "Connected" : "Connect"}</button>
+              <button class="secondary" onclick="app.renameKnownTrainer('${trainer.id}')">Rename</button>
+              <button class="secondary" onclick="app.forgetKnownTrainer('${trainer.id}')">Forget</button>
+            </div>
+          </div>`;
+      })
+      .join("");
+  }
+
+  renameKnownTrainer(id) {
+    const trainer = this.knownTrainers.get(id);
+    if (!trainer) return;
+
+    const nickname = prompt(
+      `Nickname for ${trainer.name}:`,
+      trainer.nickname || trainer.name,
+    );
+    if (nickname === null) {
+      return;
+    }
+    this.knownTrainers.rename(id, nickname.trim());
+    this.renderKnownTrainers();
+  }
+
+  async forgetKnownTrainer(id) {
+    const trainer = this.knownTrainers.get(id);
+    if (!trainer) return;
+
+    if (!confirm(`Forget ${trainer.nickname}?`)) {
+      return;
+    }
+
+    this.knownTrainers.forget(id);
+    this.renderKnownTrainers();
+
+    // Also drop the browser's pairing so it isn't reused silently
+    if (!trainer.simulated) {
+      try {
+        this.useTransport(false);
+        await this.device.forgetKnown(id);
+      } catch (error) {
+        this.addLogEntry(
+          `Failed to revoke device permission: ${error.message}`,
+          "error",
+        );
+      }
+    }
+  }
+
   setWeightUnit(unit, options = {}) {
     if (unit !== "kg" && unit !== "lb") {
       return;
@@ -284,6 +626,135 @@ class VitruvianApp {
     }
   }
 
+  loadAsymmetrySettings() {
+    const defaults = { thresholdPct: 15, audioCue: false };
+    if (typeof window === "undefined" || !window.localStorage) {
+      return defaults;
+    }
+    try {
+      const stored = JSON.parse(localStorage.getItem("vitruvian.asymmetry"));
+      if (stored && stored.thresholdPct >= 5 && stored.thresholdPct <= 50) {
+        return { ...defaults, ...stored };
+      }
+    } catch (error) {
+      // Ignore storage errors and fall back to defaults.
+    }
+    return defaults;
+  }
+
+  saveAsymmetrySettings() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.asymmetry",
+        JSON.stringify(this.asymmetrySettings),
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  // Whether drop sets stop and restart the set at each weight change instead
+  // of sending the new weight mid-set
+  loadRestartSegments() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return false;
+    }
+    try {
+      return localStorage.getItem("vitruvian.restartSegments") === "true";
+    } catch (error) {
+      // Ignore storage errors and fall back to changing in place.
+    }
+    return false;
+  }
+
+  saveRestartSegments() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.restartSegments",
+        String(this.restartSegments),
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  loadAutoStopSettings() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return { ...AUTO_STOP_DEFAULTS };
+    }
+    try {
+      const stored = JSON.parse(localStorage.getItem("vitruvian.autoStop"));
+      const settings = { ...AUTO_STOP_DEFAULTS, ...stored };
+      if (stored && validateAutoStopSettings(settings).length === 0) {
+        return settings;
+      }
+    } catch (error) {
+      // Ignore storage errors and fall back to defaults.
+    }
+    return { ...AUTO_STOP_DEFAULTS };
+  }
+
+  saveAutoStopSettings() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    try {
+      localStorage.setItem(
+        "vitruvian.autoStop",
+        JSON.stringify(this.autoStopSettings),
+      );
+    } catch (error) {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  // Auto-stop settings for the set being started: the running plan item's
+  // own rules, or the Configuration settings
+  resolveAutoStopSettings() {
+    const item = this.planActive && this.planItems[this.planCursor.index];
+    return item && item.autoStop ? item.autoStop : this.autoStopSettings;
+  }
+
+  // A stored plan row's auto-stop override, or null (use the Configuration
+  // settings) when there is none or it is no longer valid
+  readPlanAutoStop(autoStop) {
+    if (!autoStop || typeof autoStop !== "object") {
+      return null;
+    }
+    const settings = { ...AUTO_STOP_DEFAULTS, ...autoStop };
+    return validateAutoStopSettings(settings).length === 0 ? settings : null;
+  }
+
+  renderAutoStopSettings() {
+    const container = document.getElementById("autoStopSettings");
+    if (!container) return;
+    container.innerHTML = renderAutoStopFields(
+      this.autoStopSettings,
+      (field, value) => `app.setAutoStopSetting('${field}', ${value})`,
+    );
+  }
+
+  // Change one Configuration auto-stop setting (see updateAutoStopSetting)
+  setAutoStopSetting(field, value) {
+    try {
+      this.autoStopSettings = updateAutoStopSetting(
+        this.autoStopSettings,
+        field,
+        value,
+      );
+      this.saveAutoStopSettings();
+    } catch (error) {
+      alert(error.message);
+    }
+    this.renderAutoStopSettings();
+  }
+
   renderLoadDisplays(sample) {
     const decimals = this.getLoadDisplayDecimals();
     const unitLabel = this.getUnitLabel();
@@ -333,11 +804,32 @@ class VitruvianApp {
     });
   }
 
-  addLogEntry(message, type = "info") {
+  // Lines with a payload ({ kind, bytes, uuid }) expand into a decoded field tree
+  addLogEntry(message, type = "info", payload = null) {
     const logDiv = document.getElementById("log");
-    const entry = document.createElement("div");
+    let entry;
+    if (payload) {
+      entry = document.createElement("details");
+      const summary = document.createElement("summary");
+      summary.textContent = message;
+      entry.appendChild(summary);
+      // Dissect on first expand only; most lines are never opened
+      entry.addEventListener(
+        "toggle",
+        () => {
+          const tree = document.createElement("div");
+          tree.innerHTML = renderDissection(
+            dissectPayload(payload.bytes, payload.kind, payload.uuid),
+          );
+          entry.appendChild(tree);
+        },
+        { once: true },
+      );
+    } else {
+      entry = document.createElement("div");
+      entry.textContent = message;
+    }
     entry.className = `log-line log-${type}`;
-    entry.textContent = message;
     logDiv.appendChild(entry);
 
     // Auto-scroll to bottom
@@ -404,12 +896,135 @@ class VitruvianApp {
       colorSection.classList.add("hidden");
     }
 
+    this.renderDeviceInfo(connected ? this.device.deviceInfo : null);
+    this.renderKnownTrainers();
     this.updateStopButtonState();
   }
 
+  // Model, serial and revisions of the connected trainer
+  renderDeviceInfo(info) {
+    const container = document.getElementById("deviceInfo");
+    if (!container) return;
+
+    if (!info) {
+      container.classList.add("hidden");
+      container.innerHTML = "";
+      return;
+    }
+
+    const rows = [
+      ["Model", info.model],
+      ["Manufacturer", info.manufacturer],
+      ["Firmware", info.firmware],
+      ["Hardware", info.hardware],
+      ["Software", info.software],
+      ["Serial", info.serial],
+    ].filter(([, value]) => value);
+
+    container.innerHTML = rows.length
+      ? rows
+          .map(
+            ([label, value]) =>
+              `<div class="device-info-row"><span>${label}</span><strong>${value}</strong></div>`,
+          )
+          .join("")
+      : `<div class="device-info-row"><span>No device information reported</span></div>`;
+    container.classList.remove("hidden");
+  }
+
+  // Subscribe to live data for the set that is starting. The previous set's
+  // subscriptions are dropped so each notification is handled exactly once.
+  subscribeSetListeners() {
+    this.unsubscribeSetListeners();
+    this.setScope = this.device.createScope();
+    this.setScope.on(DeviceEvent.MONITOR, (sample) => {
+      this.updateLiveStats(sample);
+    });
+    this.setScope.on(DeviceEvent.REP, (data) => {
+      this.handleRepNotification(data);
+    });
+  }
+
+  unsubscribeSetListeners() {
+    if (this.setScope) {
+      this.setScope.dispose();
+      this.setScope = null;
+    }
+  }
+
+  // React to connection state changes reported by the device
+  handleConnectionStateChange(state, info) {
+    const statusDiv = document.getElementById("status");
+
+    if (state === "reconnecting") {
+      if (statusDiv) {
+        statusDiv.textContent = `Reconnecting (attempt ${info.attempt}/${info.maxAttempts})...`;
+        statusDiv.className = "status disconnected";
+      }
+      this.updateStopButtonState();
+      return;
+    }
+
+    if (state === "reconnected") {
+      this.updateConnectionStatus(true);
+
+      if (this.currentWorkout) {
+        // Counters are re-baselined from the next notification so a reset
+        // on the device side can't be mistaken for completed reps
+        this.lastRepCounter = undefined;
+        this.lastTopCounter = undefined;
+        this.device.startPropertyPolling();
+        this.device.startMonitorPolling();
+        this.addLogEntry(
+          `Resumed ${this.currentWorkout.mode} after reconnect`,
+          "success",
+        );
+      }
+
+      this.resumePlanAfterReconnect();
+      return;
+    }
+
+    if (state === "disconnected") {
+      this.updateConnectionStatus(false);
+
+      if (this.currentWorkout) {
+        this.addLogEntry(
+          "Connection lost during a set. Saving the reps so far; reconnect to continue.",
+          "error",
+        );
+        // The set can't be resumed; let the plan rerun it after a manual reconnect
+        if (this.planActive) {
+          this.planAwaitingReconnect = true;
+        }
+        this.completeWorkout({ interrupted: true });
+      }
+    }
+  }
+
+  // Restart the plan block that was waiting for the device to come back
+  resumePlanAfterReconnect() {
+    if (!this.planActive || !this.planAwaitingReconnect) {
+      return;
+    }
+    this.planAwaitingReconnect = false;
+    this.addLogEntry(
+      `Plan: resuming item ${this.planCursor.index + 1}, set ${this.planCursor.set}`,
+      "info",
+    );
+    this._runCurrentPlanBlock();
+  }
+
   updateLiveStats(sample) {
     // Store current sample for auto-stop checking
     this.currentSample = sample;
+    if (this.currentWorkout) {
+      this.repAnalyzer.addSample(sample);
+      // The load is released during intra-set rests
+      if (!this.segmentRest) {
+        this.checkPositionReps(sample);
+      }
+    }
 
     // Update numeric displays
     this.renderLoadDisplays(sample);
@@ -440,6 +1055,11 @@ class VitruvianApp {
       this.checkAutoStop(sample);
     }
 
+    // Move to the next segment when the lifter stalls (drop sets, rest-pause)
+    if (this.segmentedSet && this.segmentedSet.checkFailure()) {
+      this.advanceSegment(SegmentEnd.FAILURE);
+    }
+
     // Add data to chart
     this.chartManager.addData(sample);
   }
@@ -485,6 +1105,12 @@ class VitruvianApp {
       repsInput.disabled = true;
       repsInput.style.opacity = "0.5";
       modeLabel.textContent = "Base Mode (for resistance profile):";
+
+      const vbtCheckbox = document.getElementById("vbtCheckbox");
+      if (vbtCheckbox && vbtCheckbox.checked) {
+        vbtCheckbox.checked = false;
+        this.toggleVbt();
+      }
     } else {
       // Regular mode - enable reps input
       repsInput.disabled = false;
@@ -493,6 +1119,83 @@ class VitruvianApp {
     }
   }
 
+  // Show the options for the selected set type. Segmented sets need a rep
+  // target, so Just Lift is turned off.
+  selectSetType() {
+    const type = document.getElementById("setType").value;
+    const panels = {
+      [SetType.DROP]: "dropSetOptions",
+      [SetType.REST_PAUSE]: "restPauseOptions",
+      [SetType.CLUSTER]: "clusterOptions",
+      [SetType.SCHEDULE]: "repScheduleOptions",
+    };
+    for (const [panelType, id] of Object.entries(panels)) {
+      const panel = document.getElementById(id);
+      if (panel) {
+        panel.style.display = panelType === type ? "grid" : "none";
+      }
+    }
+
+    const scheduleInput = document.getElementById("repSchedule");
+    if (type === SetType.SCHEDULE && scheduleInput && !scheduleInput.value) {
+      this.applyRepSchedulePreset();
+    }
+
+    const justLiftCheckbox = document.getElementById("justLiftCheckbox");
+    if (type !== SetType.STRAIGHT && justLiftCheckbox.checked) {
+      justLiftCheckbox.checked = false;
+      this.toggleJustLiftMode();
+    }
+    const vbtCheckbox = document.getElementById("vbtCheckbox");
+    if (type !== SetType.STRAIGHT && vbtCheckbox && vbtCheckbox.checked) {
+      vbtCheckbox.checked = false;
+      this.toggleVbt();
+    }
+  }
+
+  // Velocity-based sets end on velocity loss rather than a rep target, so the
+  // reps input is disabled and the set runs as a straight set
+  toggleVbt() {
+    const vbtCheckbox = document.getElementById("vbtCheckbox");
+    const options = document.getElementById("vbtOptions");
+    const repsInput = document.getElementById("reps");
+    const enabled = vbtCheckbox.checked;
+    if (options) {
+      options.style.display = enabled ? "grid" : "none";
+    }
+    if (!enabled) {
+      repsInput.disabled = false;
+      repsInput.style.opacity = "1";
+      return;
+    }
+
+    const justLiftCheckbox = document.getElementById("justLiftCheckbox");
+    if (justLiftCheckbox.checked) {
+      justLiftCheckbox.checked = false;
+      this.toggleJustLiftMode();
+    }
+    const setTypeSelect = document.getElementById("setType");
+    if (setTypeSelect && setTypeSelect.value !== SetType.STRAIGHT) {
+      setTypeSelect.value = SetType.STRAIGHT;
+      this.selectSetType();
+    }
+    repsInput.disabled = true;
+    repsInput.style.opacity = "0.5";
+  }
+
+  // Fill the rep schedule from the chosen shape, step and rep count
+  applyRepSchedulePreset() {
+    const reps = parseInt(document.getElementById("reps").value);
+    const step = parseFloat(document.getElementById("repScheduleStep").value);
+    const preset = document.getElementById("repSchedulePreset").value;
+    if (isNaN(reps) || reps < 1 || isNaN(step)) {
+      return;
+    }
+    document.getElementById("repSchedule").value = formatRepSchedule(
+      buildRepSchedule(preset, reps, step),
+    );
+  }
+
   // Toggle stop at top setting
   toggleStopAtTop() {
     const checkbox = document.getElementById("stopAtTopCheckbox");
@@ -675,8 +1378,15 @@ class VitruvianApp {
     this.maxRepPosARange = null;
     this.minRepPosBRange = null;
     this.maxRepPosBRange = null;
-    this.autoStopStartTime = null;
+    this.autoStop = null;
+    this.autoStopTrigger = null;
     this.isJustLiftMode = false;
+    this.endSegmentRest();
+    this.segmentedSet = null;
+    this.segmentParams = null;
+    this.vbt = null;
+    this.renderVbtPanel();
+    this.renderAsymmetryIndicator(null);
     this.lastTopCounter = undefined;
     this.updateRepCounters();
 
@@ -694,6 +1404,22 @@ class VitruvianApp {
     this.updateHistoryDisplay();
   }
 
+  // " (↓ from 12%)" against the previous set of the same exercise with balance data
+  describeAsymmetryTrend(index) {
+    const workout = this.workoutHistory[index];
+    const name = workout.setName || workout.mode;
+    const previous = this.workoutHistory
+      .slice(index + 1)
+      .find((w) => w.asymmetry && (w.setName || w.mode) === name);
+    if (!previous) {
+      return "";
+    }
+    const before = previous.asymmetry.imbalancePct;
+    const now = workout.asymmetry.imbalancePct;
+    const arrow = now < before ? "↓" : now > before ? "↑" : "→";
+    return ` (${arrow} ${now}% from ${before}%)`;
+  }
+
   viewWorkoutOnGraph(index) {
     if (index < 0 || index >= this.workoutHistory.length) {
       this.addLogEntry("Invalid workout index", "error");
@@ -727,6 +1453,31 @@ class VitruvianApp {
         const viewButtonHtml = hasTimingData
           ? `<button class="view-graph-btn" onclick="app.viewWorkoutOnGraph(${index})" title="View this workout on the graph">📊 View Graph</button>`
           : "";
+        const segmentsHtml = workout.segments
+          ? `<div class="history-item-details">${SetTypeNames[workout.setType] || "Segments"}: ${workout.segments
+              .map(
+                (segment) =>
+                  `${this.formatWeightWithUnit(segment.perCableKg)} × ${segment.reps}`,
+              )
+              .join(" → ")}</div>`
+          : "";
+        const vbtHtml = workout.vbt
+          ? `<div class="history-item-details">VBT: best ${workout.vbt.bestVelocity ?? "-"} → last ${workout.vbt.lastVelocity ?? "-"} units/s (-${workout.vbt.lossPercent}%${workout.vbt.stoppedByVelocity ? `, stopped at ${workout.vbt.lossThreshold}% loss` : ""})</div>`
+          : "";
+        const asymmetryHtml = workout.asymmetry
+          ? `<div class="history-item-details">Balance: ROM ${formatImbalance(workout.asymmetry.romDiffPct)}, load ${formatImbalance(workout.asymmetry.peakLoadDiffPct)}, top offset ${workout.asymmetry.topOffsetSec.toFixed(2)}s${this.describeAsymmetryTrend(index)}</div>`
+          : "";
+        const repTableHtml =
+          workout.repRecords && workout.repRecords.length
+            ? `<details class="history-item-reps"><summary>Per-rep analytics</summary>${renderRepTable(
+                workout.repRecords,
+                (kg) => this.formatWeightValue(kg),
+                this.getUnitLabel(),
+              )}</details>`
+            : "";
+        const linkHealthHtml = workout.linkHealth
+          ? `<div class="history-item-link link-health-${assessLinkHealth(workout.linkHealth)}" title="Link quality during this set">📶 ${formatLinkHealthSummary(workout.linkHealth)}</div>`
+          : "";
 return `
   <div class="history-item">
     <div class="history-item-title">
@@ -735,15 +1486,22 @@ return `
       ${workout.setNumber && workout.setTotal ? ` (Set ${workout.setNumber}/${workout.setTotal})` : ""}
     </div>
     <div class="history-item-details">
-      ${weightStr} • ${workout.reps} reps
+      ${weightStr} • ${workout.reps} reps${workout.interrupted ? " • interrupted (connection lost)" : ""}${workout.deviceInfo && workout.deviceInfo.firmware ? ` • fw ${workout.deviceInfo.firmware}` : ""}
     </div>
+    ${segmentsHtml}
+    ${vbtHtml}
+    ${asymmetryHtml}
+    ${repTableHtml}
+    ${linkHealthHtml}
     ${viewButtonHtml}
   </div>    `;
       })
       .join("");
   }
 
- completeWorkout() {
+ // Save the current set to history. An `interrupted` set (connection lost)
+ // keeps the reps done so far but does not move a plan on.
+ completeWorkout(options = {}) {
 
 const setLabel = document.getElementById("currentSetName");
 if (setLabel) setLabel.textContent = "";
@@ -755,6 +1513,11 @@ if (setLabel) setLabel.textContent = "";
 
     const endTime = new Date();
     this.currentWorkout.endTime = endTime;
+    this.device.addCaptureNote("workoutEnd", {});
+
+    if (this.segmentedSet) {
+      this.segmentedSet.finish(SegmentEnd.STOPPED);
+    }
 
     this.addToWorkoutHistory({
       mode: this.currentWorkout.mode,
@@ -764,6 +1527,20 @@ if (setLabel) setLabel.textContent = "";
       startTime: this.currentWorkout.startTime,
       warmupEndTime: this.currentWorkout.warmupEndTime,
       endTime,
+      // Replayed sets have no live link to measure
+      linkHealth: this.currentWorkout.replayed
+        ? null
+        : this.device.getLinkHealth(),
+      deviceInfo: this.currentWorkout.replayed
+        ? this.currentWorkout.deviceInfo
+        : { ...this.device.deviceInfo },
+      // Drop, rest-pause and cluster sets: reps per segment
+      setType: this.segmentedSet ? this.segmentedSet.type : null,
+      segments: this.segmentedSet ? this.segmentedSet.breakdown() : null,
+      repRecords: [...this.repAnalyzer.records],
+      vbt: this.vbt ? this.vbt.summary() : null,
+      asymmetry: summarizeAsymmetry(this.repAnalyzer.records),
+      interrupted: !!options.interrupted,
 
   setName: this.currentWorkout.setName || null,
   setNumber: this.currentWorkout.setNumber ?? null,
@@ -773,13 +1550,14 @@ if (setLabel) setLabel.textContent = "";
 
     });
 
+    this.unsubscribeSetListeners();
     this.resetRepCountersToEmpty();
     this.addLogEntry("Workout completed and saved to history", "success");
   }
 
   // 👉 hand control back to the plan runner so it can show the rest overlay
   try {
-    if (this.planActive && typeof this.planOnWorkoutComplete === "function") {
+    if (this.planActive && !options.interrupted && typeof this.planOnWorkoutComplete === "function") {
       this.addLogEntry("Plan: completeWorkout() fired", "info");
       this.planOnWorkoutComplete();
     }
@@ -793,8 +1571,7 @@ if (setLabel) setLabel.textContent = "";
   getWindowSize() {
     // During warmup: use last 2 samples
     // During working reps: use last 3 samples
-    const totalReps = this.warmupReps + this.workingReps;
-    return totalReps < this.warmupTarget ? 2 : 3;
+    return this.warmupReps < this.warmupTarget ? 2 : 3;
   }
 
   // Record top position (when u16[0] increments)
@@ -896,73 +1673,31 @@ if (setLabel) setLabel.textContent = "";
 
   // Check if we should auto-stop (for Just Lift mode)
   checkAutoStop(sample) {
-    // Need at least one cable to have established a range
-    if (!this.minRepPosA && !this.minRepPosB) {
-      this.updateAutoStopUI(0);
-      return;
-    }
-
-    const rangeA = this.maxRepPosA - this.minRepPosA;
-    const rangeB = this.maxRepPosB - this.minRepPosB;
-
-    // Only check cables that have a meaningful range (> 50 units of movement)
-    const minRangeThreshold = 50;
-    const checkCableA = rangeA > minRangeThreshold;
-    const checkCableB = rangeB > minRangeThreshold;
-
-    // If neither cable has moved significantly, can't auto-stop yet
-    if (!checkCableA && !checkCableB) {
-      this.updateAutoStopUI(0);
+    if (!this.autoStop) {
       return;
     }
+    const leading = this.autoStop.update(sample, this.getRepRange());
+    const trigger = leading ? leading.trigger : null;
+    const holdSec = this.autoStop.settings.holdSec;
 
-    let inDangerZone = false;
-
-    // Check cable A if it has meaningful range
-    if (checkCableA) {
-      const thresholdA = this.minRepPosA + rangeA * 0.05;
-      if (sample.posA <= thresholdA) {
-        inDangerZone = true;
-      }
-    }
-
-    // Check cable B if it has meaningful range
-    if (checkCableB) {
-      const thresholdB = this.minRepPosB + rangeB * 0.05;
-      if (sample.posB <= thresholdB) {
-        inDangerZone = true;
-      }
-    }
-
-    if (inDangerZone) {
-      if (this.autoStopStartTime === null) {
-        // Entered danger zone
-        this.autoStopStartTime = Date.now();
+    if (trigger !== this.autoStopTrigger) {
+      if (trigger) {
         this.addLogEntry(
-          "Near bottom of range, starting auto-stop timer (5s)...",
+          `${AutoStopTriggerNames[trigger]}, starting auto-stop timer (${holdSec}s)...`,
           "info",
         );
+      } else {
+        this.addLogEntry("Moving again, auto-stop timer reset", "info");
       }
+      this.autoStopTrigger = trigger;
+    }
 
-      // Calculate elapsed time and update UI
-      const elapsed = (Date.now() - this.autoStopStartTime) / 1000;
-      const progress = Math.min(elapsed / 5.0, 1.0); // 0 to 1 over 5 seconds
-      this.updateAutoStopUI(progress);
+    this.updateAutoStopUI(leading ? leading.progress : 0);
 
-      if (elapsed >= 5.0) {
-        this.addLogEntry(
-          "Auto-stop triggered! Finishing workout...",
-          "success",
-        );
-        this.stopWorkout();
-      }
-    } else {
-      // Reset timer if we left the danger zone
-      if (this.autoStopStartTime !== null) {
-        this.addLogEntry("Moved out of danger zone, timer reset", "info");
-        this.autoStopStartTime = null;
-      }
-      this.updateAutoStopUI(0);
+    if (leading && leading.progress >= 1) {
+      this.addLogEntry("Auto-stop triggered! Finishing workout...", "success");
+      this.autoStop = null; // Stop once; the set is ending
+      this.stopWorkout();
     }
   }
 
@@ -981,7 +1716,10 @@ if (setLabel) setLabel.textContent = "";
 
     // Update text based on progress
     if (progress > 0) {
-      const timeLeft = Math.ceil((1 - progress) * 5);
+      const holdSec = this.autoStop
+        ? this.autoStop.settings.holdSec
+        : this.autoStopSettings.holdSec;
+      const timeLeft = Math.ceil((1 - progress) * holdSec);
       autoStopText.textContent = `${timeLeft}s`;
       autoStopText.style.color = "#dc3545";
       autoStopText.style.fontSize = "1.5em";
@@ -1049,22 +1787,7 @@ if (setLabel) setLabel.textContent = "";
           this.currentSample.posB,
         );
         this.lastTopCounter = topCounter;
-
-        // Check if we should complete at top of final rep
-        if (
-          this.stopAtTop &&
-          !this.isJustLiftMode &&
-          this.targetReps > 0 &&
-          this.workingReps === this.targetReps - 1
-        ) {
-          // We're at targetReps - 1, and just reached top
-          // This is the top of the final rep, complete now
-          this.addLogEntry(
-            "Reached top of final rep! Auto-completing workout...",
-            "success",
-          );
-          this.stopWorkout(); // Must be explicitly stopped as the machine thinks the set isn't finished until the bottom of the final rep.
-        }
+        this.checkStopAtTop();
       }
     }
 
@@ -1089,79 +1812,210 @@ if (setLabel) setLabel.textContent = "";
         `BOTTOM detected! Counter: ${this.lastRepCounter} -> ${completeCounter}, pos=[${this.currentSample.posA}, ${this.currentSample.posB}]`,
         "success",
       );
+      const detectorReady = this.repDetector.isReady(this.getRepRange());
       this.recordBottomPosition(
         this.currentSample.posA,
         this.currentSample.posB,
       );
 
-      const totalReps = this.warmupReps + this.workingReps + 1;
+      // A jump this large means the counter restarted rather than missed reps
+      const reported = delta > REP_COUNTER_MAX_GAP ? 1 : delta;
+      const wasTakenOver = this.repReconciler.takenOver;
+      const count = this.repReconciler.deviceReps(reported, detectorReady);
+      if (wasTakenOver) {
+        this.addLogEntry(
+          "Rep notifications resumed; counting from device counters again",
+          "info",
+        );
+      }
+      if (count < reported) {
+        this.addLogEntry(
+          `Device counters caught up on ${reported - count} rep(s) already counted from position data`,
+          "info",
+        );
+      }
+      for (let i = 0; i < count && this.currentWorkout; i++) {
+        this.countCompletedRep();
+      }
+    }
+
+    this.lastRepCounter = completeCounter;
+  }
+
+  // Check if we should complete at top of final rep
+  checkStopAtTop() {
+    if (
+      this.stopAtTop &&
+      !this.isJustLiftMode &&
+      (!this.segmentedSet || this.segmentedSet.isLast()) &&
+      this.targetReps > 0 &&
+      this.workingReps === this.targetReps - 1
+    ) {
+      // We're at targetReps - 1, and just reached top
+      // This is the top of the final rep, complete now
+      this.addLogEntry(
+        "Reached top of final rep! Auto-completing workout...",
+        "success",
+      );
+      this.stopWorkout(); // Must be explicitly stopped as the machine thinks the set isn't finished until the bottom of the final rep.
+    }
+  }
+
+  // Learned rep range in the shape PositionRepDetector takes
+  getRepRange() {
+    return {
+      minA: this.minRepPosA,
+      maxA: this.maxRepPosA,
+      minB: this.minRepPosB,
+      maxB: this.maxRepPosB,
+    };
+  }
+
+  // Run the position-based rep detector alongside the rep notifications. Reps
+  // only one side saw are logged; reps never notified are counted from here.
+  checkPositionReps(sample) {
+    const event = this.repDetector.update(sample, this.getRepRange());
+    if (event === "bottom") {
+      this.repReconciler.detectorRep();
+    }
+
+    const wasTakenOver = this.repReconciler.takenOver;
+    const { missedByDetector, notNotified } = this.repReconciler.expire();
+    if (missedByDetector > 0) {
+      this.addLogEntry(
+        `Rep count disagreement: device counted ${missedByDetector} rep(s) not seen in position data`,
+        "warning",
+      );
+    }
+    if (notNotified > 0) {
+      this.addLogEntry(
+        wasTakenOver
+          ? `Counting ${notNotified} rep(s) from position data`
+          : `Rep count disagreement: no notification for ${notNotified} rep(s) seen in position data; counting them from positions`,
+        "warning",
+      );
+      for (let i = 0; i < notNotified && this.currentWorkout; i++) {
+        this.countCompletedRep();
+      }
+    }
+
+    // Tops only come from positions while the notifications are missing
+    if (event === "top" && this.repReconciler.takenOver) {
+      this.checkStopAtTop();
+    }
+  }
+
+  // Count one completed rep, from a device notification or the position
+  // fallback, as warmup or working and act on the set's targets
+  countCompletedRep() {
+    // Rest-pause and cluster sets raise warmupTarget when the trainer ramps
+    // in again after a rest, so compare warmup reps alone
+    if (this.warmupReps < this.warmupTarget) {
+      // Still in warmup
+      this.warmupReps++;
+      this.addLogEntry(
+        `Warmup rep ${this.warmupReps}/${this.warmupTarget} complete`,
+        "success",
+      );
+      this.updateAsymmetry(this.repAnalyzer.completeRep(null));
+
+      // Record when warmup ends (last warmup rep complete)
+      if (
+        this.warmupReps === this.warmupTarget &&
+        this.currentWorkout &&
+        !this.currentWorkout.warmupEndTime
+      ) {
+        this.currentWorkout.warmupEndTime = new Date();
+      }
+    } else {
+      // Working reps
+      this.workingReps++;
+      const record = this.repAnalyzer.completeRep(this.workingReps);
+      this.updateAsymmetry(record);
+      if (this.vbt) {
+        this.checkVelocityLoss(record);
+      }
 
-      if (totalReps <= this.warmupTarget) {
-        // Still in warmup
-        this.warmupReps++;
+      if (this.targetReps > 0) {
         this.addLogEntry(
-          `Warmup rep ${this.warmupReps}/${this.warmupTarget} complete`,
+          `Working rep ${this.workingReps}/${this.targetReps} complete`,
           "success",
         );
-
-        // Record when warmup ends (last warmup rep complete)
-        if (this.warmupReps === this.warmupTarget && this.currentWorkout && !this.currentWorkout.warmupEndTime) {
-          this.currentWorkout.warmupEndTime = new Date();
-        }
       } else {
-        // Working reps
-        this.workingReps++;
+        this.addLogEntry(`Working rep ${this.workingReps} complete`, "success");
+      }
 
-        if (this.targetReps > 0) {
-          this.addLogEntry(
-            `Working rep ${this.workingReps}/${this.targetReps} complete`,
-            "success",
-          );
-        } else {
-          this.addLogEntry(
-            `Working rep ${this.workingReps} complete`,
-            "success",
-          );
+      // Segmented sets move to the next segment instead of completing
+      if (this.segmentedSet) {
+        if (this.segmentedSet.recordRep()) {
+          this.advanceSegment(SegmentEnd.TARGET);
         }
+      }
 
-        // Auto-complete workout when target reps are reached (but not for Just Lift)
-        // Only applies when stopAtTop is disabled
-        if (
-          !this.stopAtTop &&
-          !this.isJustLiftMode &&
-          this.targetReps > 0 &&
-          this.workingReps >= this.targetReps
-        ) {
-          // Complete immediately at bottom (default behavior)
-          this.addLogEntry(
-            "Target reps reached! Auto-completing workout...",
-            "success",
-          );
-          this.completeWorkout();
-        }
+      // Auto-complete workout when target reps are reached (but not for Just Lift)
+      // Only applies when stopAtTop is disabled
+      else if (
+        !this.stopAtTop &&
+        !this.isJustLiftMode &&
+        this.targetReps > 0 &&
+        this.workingReps >= this.targetReps
+      ) {
+        // Complete immediately at bottom (default behavior)
+        this.addLogEntry(
+          "Target reps reached! Auto-completing workout...",
+          "success",
+        );
+        this.completeWorkout();
+      }
+    }
+
+    this.updateRepCounters();
+  }
+
+  // Whether the "Simulated trainer" option is selected
+  isSimulatorSelected() {
+    const simulatorCheckbox = document.getElementById("simulatorCheckbox");
+    return !!(simulatorCheckbox && simulatorCheckbox.checked);
+  }
+
+  async connect() {
+    try {
+      this.useTransport(this.isSimulatorSelected());
+
+      // Check if Web Bluetooth is supported
+      if (!this.device.getTransport().isAvailable()) {
+        alert(
+          "Web Bluetooth is not supported in this browser. Please use Chrome, Edge, or Opera.",
+        );
+        return;
       }
 
-      this.updateRepCounters();
+      await this.device.connect();
+      await this.onDeviceConnected();
+    } catch (error) {
+      console.error("Connection error:", error);
+      this.addLogEntry(`Connection failed: ${error.message}`, "error");
+      this.updateConnectionStatus(false);
     }
-
-    this.lastRepCounter = completeCounter;
   }
 
-  async connect() {
+  // Reconnect to a remembered trainer without the chooser where possible
+  async connectKnownTrainer(id) {
+    const trainer = this.knownTrainers.get(id);
+    if (!trainer) return;
+
     try {
-      // Check if Web Bluetooth is supported
-      if (!navigator.bluetooth) {
+      this.useTransport(trainer.simulated);
+      if (!this.device.getTransport().isAvailable()) {
         alert(
           "Web Bluetooth is not supported in this browser. Please use Chrome, Edge, or Opera.",
         );
         return;
       }
 
-      await this.device.connect();
-      this.updateConnectionStatus(true);
-
-      // Send initialization sequence
-      await this.device.sendInit();
+      this.addLogEntry(`Connecting to ${trainer.nickname}...`, "info");
+      await this.device.connectKnown(trainer.id, trainer.name);
+      await this.onDeviceConnected();
     } catch (error) {
       console.error("Connection error:", error);
       this.addLogEntry(`Connection failed: ${error.message}`, "error");
@@ -1169,6 +2023,38 @@ if (setLabel) setLabel.textContent = "";
     }
   }
 
+  // Point the device at the simulator or the browser's Web Bluetooth
+  useTransport(simulated) {
+    if (simulated) {
+      // Reuse one simulator so its counters survive reconnects
+      if (!this.simulatedTransport) {
+        this.simulatedTransport = new WebBluetoothTransport(
+          new SimulatedBluetooth(),
+        );
+      }
+      this.device.setTransport(this.simulatedTransport);
+      this.addLogEntry("Using simulated trainer (no hardware)", "info");
+    } else {
+      if (!this.bluetoothTransport) {
+        this.bluetoothTransport = new WebBluetoothTransport(navigator.bluetooth);
+      }
+      this.device.setTransport(this.bluetoothTransport);
+    }
+  }
+
+  async onDeviceConnected() {
+    this.knownTrainers.remember(
+      this.device.transport,
+      this.device.transport === this.simulatedTransport,
+    );
+    this.updateConnectionStatus(true);
+
+    // Send initialization sequence
+    await this.device.sendInit();
+
+    this.resumePlanAfterReconnect();
+  }
+
   async disconnect() {
     try {
       await this.device.disconnect();
@@ -1180,6 +2066,11 @@ if (setLabel) setLabel.textContent = "";
   }
 
   async stopWorkout() {
+    // During a replay the recorded end of the set drives completion instead
+    if (this.replayer && this.replayer.active) {
+      return;
+    }
+
     try {
       await this.device.sendStopCommand();
       this.addLogEntry("Workout stopped by user", "info");
@@ -1193,6 +2084,376 @@ if (setLabel) setLabel.textContent = "";
     }
   }
 
+  // Set type options from the Program section, or null for a straight set.
+  // Each number is checked against its input's min/max; the first problem
+  // is reported in `error`.
+  readSetTypeOptions() {
+    const setTypeSelect = document.getElementById("setType");
+    const type = setTypeSelect ? setTypeSelect.value : SetType.STRAIGHT;
+    // [option, input ID, label for errors]
+    const inputs = {
+      [SetType.DROP]: [
+        ["drops", "dropCount", "number of drops"],
+        ["dropPercent", "dropPercent", "drop percentage"],
+        ["dropReps", "dropReps", "reps per drop"],
+        ["failureTimeoutSec", "dropFailureSec", "failure time"],
+      ],
+      [SetType.REST_PAUSE]: [
+        ["pauses", "pauseCount", "number of mini-sets"],
+        ["pauseReps", "pauseReps", "reps per mini-set"],
+        ["restSec", "pauseRestSec", "rest"],
+        ["failureTimeoutSec", "pauseFailureSec", "failure time"],
+      ],
+      [SetType.CLUSTER]: [
+        ["clusters", "clusterCount", "number of clusters"],
+        ["restSec", "clusterRestSec", "rest"],
+      ],
+      [SetType.SCHEDULE]: [],
+    }[type];
+    if (!inputs) {
+      return null;
+    }
+
+    const options = { type, ...this.readNumberInputs(inputs) };
+    if (type === SetType.DROP) {
+      options.dropAtFailure = document.getElementById(
+        "dropAtFailureCheckbox",
+      ).checked;
+    }
+    if (type === SetType.SCHEDULE) {
+      try {
+        options.percents = parseRepSchedule(
+          document.getElementById("repSchedule").value,
+        );
+      } catch (error) {
+        options.error = error.message;
+      }
+    }
+    return options;
+  }
+
+  // Read [option, input ID, label] number inputs into { ...options, error },
+  // checking each against its input's min/max
+  readNumberInputs(inputs) {
+    const options = { error: null };
+    for (const [name, id, label] of inputs) {
+      const input = document.getElementById(id);
+      const value = parseFloat(input.value);
+      options[name] = value;
+      if (
+        !options.error &&
+        (isNaN(value) ||
+          value < parseFloat(input.min) ||
+          value > parseFloat(input.max))
+      ) {
+        options.error = `Please enter a valid ${label} (${input.min}-${input.max})`;
+      }
+    }
+    return options;
+  }
+
+  // Velocity-based training options, or null when the checkbox is off
+  readVbtOptions() {
+    const vbtCheckbox = document.getElementById("vbtCheckbox");
+    if (!vbtCheckbox || !vbtCheckbox.checked) {
+      return null;
+    }
+    const options = this.readNumberInputs([
+      ["lossPercent", "vbtLossPercent", "velocity loss"],
+      ["zoneMin", "vbtZoneMin", "target zone minimum"],
+      ["zoneMax", "vbtZoneMax", "target zone maximum"],
+    ]);
+    if (
+      !options.error &&
+      options.zoneMin > 0 &&
+      options.zoneMax > 0 &&
+      options.zoneMin >= options.zoneMax
+    ) {
+      options.error = "Target zone minimum must be below the maximum";
+    }
+    return options;
+  }
+
+  // Show a rep's left/right balance and beep on a working rep past the threshold
+  updateAsymmetry(record) {
+    const imbalance = repImbalance(record);
+    if (imbalance === null) {
+      return;
+    }
+    const over = imbalance >= this.asymmetrySettings.thresholdPct;
+    this.renderAsymmetryIndicator(record, over);
+    if (over && !record.warmup) {
+      this.addLogEntry(
+        `Rep ${record.rep} imbalance: ROM ${formatImbalance(record.romDiffPct)}, load ${formatImbalance(record.peakLoadDiffPct)}`,
+        "warning",
+      );
+      if (this.asymmetrySettings.audioCue) {
+        this._beep(440, 250, 0.3);
+      }
+    }
+  }
+
+  renderAsymmetryIndicator(record, over = false) {
+    const indicator = document.getElementById("asymmetryIndicator");
+    if (!indicator) return;
+
+    if (!record) {
+      indicator.classList.add("hidden");
+      indicator.innerHTML = "";
+      return;
+    }
+
+    // The scale spans twice the threshold each way; right is drawn on the right
+    const signed =
+      Math.abs(record.romDiffPct) > Math.abs(record.peakLoadDiffPct)
+        ? record.romDiffPct
+        : record.peakLoadDiffPct;
+    const span = this.asymmetrySettings.thresholdPct * 2;
+    const markerPct =
+      50 + (Math.max(-span, Math.min(span, signed)) / span) * 50;
+    const offset = record.topOffsetSec;
+    const offsetText =
+      Math.abs(offset) < 0.01
+        ? "tops together"
+        : `${offset > 0 ? "left" : "right"} tops ${Math.abs(offset).toFixed(2)}s later`;
+
+    indicator.classList.remove("hidden");
+    indicator.classList.toggle("asymmetry-high", over);
+    indicator.innerHTML = `
+      <div>
+        ${record.warmup ? "Warmup rep" : `Rep ${record.rep}`} balance: ROM
+        ${formatImbalance(record.romDiffPct)}, load
+        ${formatImbalance(record.peakLoadDiffPct)}, ${offsetText}
+      </div>
+      <div class="asymmetry-scale">
+        <div class="asymmetry-marker" style="left: ${markerPct}%"></div>
+      </div>
+      <div class="asymmetry-ends"><span>Left</span><span>Right</span></div>
+    `;
+  }
+
+  // Feed a working rep to the velocity tracker and end the set once velocity
+  // has dropped far enough from the best rep
+  checkVelocityLoss(record) {
+    const vbt = this.vbt;
+    const shouldStop = vbt.addRep(record);
+    this.renderVbtPanel();
+    if (record && record.meanVelocity > 0) {
+      this.addLogEntry(
+        `Rep ${record.rep}: ${record.meanVelocity} units/s (best ${vbt.bestVelocity}, -${vbt.lossPercent()}%)`,
+        "info",
+      );
+    }
+    if (shouldStop && !vbt.stopped) {
+      vbt.stopped = true;
+      this.addLogEntry(
+        `Velocity loss ${vbt.lossPercent()}% reached the ${vbt.lossThreshold}% limit. Ending set...`,
+        "success",
+      );
+      this.stopWorkout();
+    }
+  }
+
+  // Last rep's velocity against the best rep, coloured by target zone
+  renderVbtPanel() {
+    const panel = document.getElementById("vbtPanel");
+    if (!panel) return;
+
+    panel.classList.remove(
+      ...Object.values(VelocityZone).map((zone) => `zone-${zone}`),
+    );
+    const vbt = this.vbt;
+    if (!vbt) {
+      panel.classList.add("hidden");
+      panel.innerHTML = "";
+      return;
+    }
+
+    const zone = vbt.zone();
+    if (zone) {
+      panel.classList.add(`zone-${zone}`);
+    }
+    const zoneText = {
+      [VelocityZone.BELOW]: "Below target zone",
+      [VelocityZone.IN]: "In target zone",
+      [VelocityZone.ABOVE]: "Above target zone",
+    }[zone];
+    const zoneRange =
+      vbt.zoneMin > 0 || vbt.zoneMax > 0
+        ? `${vbt.zoneMin || 0}-${vbt.zoneMax || "∞"} units/s`
+        : "";
+    panel.classList.remove("hidden");
+    panel.innerHTML = `
+      <div>
+        <div class="vbt-value">${vbt.lastVelocity ?? "-"}</div>
+        <div class="vbt-label">Last rep (units/s)</div>
+      </div>
+      <div>
+        <div class="vbt-value">${vbt.bestVelocity ?? "-"}</div>
+        <div class="vbt-label">Best rep</div>
+      </div>
+      <div>
+        <div class="vbt-value">${vbt.lossPercent()}%</div>
+        <div class="vbt-label">Loss (stop at ${vbt.lossThreshold}%)</div>
+      </div>
+      ${zoneRange ? `<div class="vbt-zone">${zoneText || "Target zone"}: ${zoneRange}</div>` : ""}
+    `;
+  }
+
+  // End the current segment and start the next one (after its rest, if any),
+  // or stop the set after the last one. `reason` is a SegmentEnd value.
+  async advanceSegment(reason) {
+    // During a replay the recorded "segment" notes move between segments
+    if (this.replayer && this.replayer.active) {
+      return;
+    }
+
+    const segmentedSet = this.segmentedSet;
+    const next = this.beginNextSegment(reason);
+    // Without a rest the new weight goes in mid-set, unless the user has the
+    // trainer restart drop sets at every weight change. Rep schedules change
+    // weight every rep or two, so they always change in place.
+    const restart =
+      !!next &&
+      (next.restBeforeSec > 0 ||
+        (this.restartSegments && segmentedSet.type !== SetType.SCHEDULE));
+    this.device.addCaptureNote("segment", { reason, restart });
+
+    if (!next) {
+      await this.stopWorkout();
+      return;
+    }
+
+    try {
+      if (next.restBeforeSec > 0) {
+        await this.restBetweenSegments(next);
+        // Stopped during the rest
+        if (this.segmentedSet !== segmentedSet) {
+          return;
+        }
+      } else if (restart) {
+        // A rest of no length: the load is released and ramps in again
+        segmentedSet.beginRest();
+        await this.device.sendStopCommand();
+        segmentedSet.endRest();
+      }
+      if (restart) {
+        this.rebaselineAfterRestart();
+      }
+
+      const effectiveKg = next.perCableKg + 10.0;
+      await this.device.changeProgram({
+        ...this.segmentParams,
+        perCableKg: next.perCableKg,
+        perCableDisplay: this.convertKgToDisplay(next.perCableKg),
+        effectiveKg: effectiveKg,
+        effectiveDisplay: this.convertKgToDisplay(effectiveKg),
+      });
+    } catch (error) {
+      this.addLogEntry(
+        `Failed to start ${next.label}: ${error.message}`,
+        "error",
+      );
+      await this.stopWorkout();
+    }
+  }
+
+  // Close the current segment and log the move to the next one. Returns the
+  // next segment, or null after the last.
+  beginNextSegment(reason) {
+    const segmentedSet = this.segmentedSet;
+    const finished = segmentedSet.current();
+    const next = segmentedSet.advance(reason);
+    const repsText = `${finished.reps} rep${finished.reps === 1 ? "" : "s"}`;
+    const how =
+      reason === SegmentEnd.FAILURE
+        ? `at failure after ${repsText}`
+        : `after ${repsText}`;
+
+    if (!next) {
+      this.addLogEntry(
+        `${finished.label} ended ${how}. ${SetTypeNames[segmentedSet.type]} complete!`,
+        "success",
+      );
+      return null;
+    }
+
+    this.targetReps =
+      next.targetReps > 0 ? segmentedSet.repsBefore() + next.targetReps : 0;
+    this.addLogEntry(
+      `${finished.label} ended ${how}. ${next.label}: ${this.formatWeightWithUnit(next.perCableKg)} per cable`,
+      "success",
+    );
+    this.updateRepCounters();
+    return next;
+  }
+
+  // The trainer ramps the load in again over its warmup reps after a stop,
+  // and may restart its rep counters, so re-baseline them like after a
+  // reconnect
+  rebaselineAfterRestart() {
+    this.warmupTarget = this.warmupReps + 3;
+    this.lastRepCounter = undefined;
+    this.lastTopCounter = undefined;
+    this.updateRepCounters();
+  }
+
+  // Release the load and count down the intra-set rest before `next`.
+  // Resolves when the rest is over, skipped, or the set ends.
+  async restBetweenSegments(next) {
+    this.segmentedSet.beginRest();
+    await this.device.sendStopCommand();
+    this.addLogEntry(
+      `Resting ${next.restBeforeSec}s before ${next.label}`,
+      "info",
+    );
+
+    await new Promise((resolve) => {
+      const endsAt = Date.now() + next.restBeforeSec * 1000;
+      const update = () => {
+        const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+          this.endSegmentRest();
+          return;
+        }
+        this.renderSegmentRest(`Rest ${remaining}s, then ${next.label}`);
+      };
+      this.segmentRest = { resolve, timer: setInterval(update, 250) };
+      update();
+    });
+
+    if (this.segmentedSet) {
+      this.segmentedSet.endRest();
+    }
+  }
+
+  // Finish the intra-set rest early (Skip button, or the set ending)
+  endSegmentRest() {
+    if (!this.segmentRest) {
+      return;
+    }
+    clearInterval(this.segmentRest.timer);
+    const resolve = this.segmentRest.resolve;
+    this.segmentRest = null;
+    this.renderSegmentRest(null);
+    resolve();
+  }
+
+  renderSegmentRest(text) {
+    const restDiv = document.getElementById("segmentRest");
+    if (!restDiv) return;
+
+    if (!text) {
+      restDiv.classList.add("hidden");
+      restDiv.innerHTML = "";
+      return;
+    }
+    restDiv.classList.remove("hidden");
+    restDiv.innerHTML = `
+      <span>${text}</span>
+      <button class="secondary" onclick="app.endSegmentRest()">Skip</button>
+    `;
+  }
   async startProgram() {
     try {
       const modeSelect = document.getElementById("mode");
@@ -1203,8 +2464,10 @@ if (setLabel) setLabel.textContent = "";
 
       const baseMode = parseInt(modeSelect.value);
       const perCableDisplay = parseFloat(weightInput.value);
+      const vbtOptions = this.readVbtOptions();
       const isJustLift = justLiftCheckbox.checked;
-      const reps = isJustLift ? 0 : parseInt(repsInput.value);
+      // Velocity-based sets have no rep target
+      const reps = isJustLift || vbtOptions ? 0 : parseInt(repsInput.value);
       const progressionDisplay = parseFloat(progressionInput.value);
 
       const perCableKg = this.convertDisplayToKg(perCableDisplay);
@@ -1221,11 +2484,46 @@ if (setLabel) setLabel.textContent = "";
         return;
       }
 
-      if (!isJustLift && (isNaN(reps) || reps < 1 || reps > 100)) {
+      if (
+        !isJustLift &&
+        !vbtOptions &&
+        (isNaN(reps) || reps < 1 || reps > 100)
+      ) {
         alert("Please enter a valid number of reps (1-100)");
         return;
       }
 
+      if (vbtOptions && vbtOptions.error) {
+        alert(vbtOptions.error);
+        return;
+      }
+
+      const setTypeOptions = this.readSetTypeOptions();
+      if (setTypeOptions && isJustLift) {
+        alert(
+          `${SetTypeNames[setTypeOptions.type]} needs a rep target. Turn off Just Lift Mode.`,
+        );
+        return;
+      }
+      if (setTypeOptions && setTypeOptions.error) {
+        alert(setTypeOptions.error);
+        return;
+      }
+      const segments = setTypeOptions
+        ? planSegmentedSet(
+            setTypeOptions.type,
+            perCableKg,
+            reps,
+            setTypeOptions,
+          )
+        : null;
+      if (segments && segments.some((segment) => segment.perCableKg > 100)) {
+        alert(
+          `${SetTypeNames[setTypeOptions.type]} goes above ${this.formatWeightWithUnit(100)} per cable`,
+        );
+        return;
+      }
+
       if (
         isNaN(progressionDisplay) ||
         isNaN(progressionKg) ||
@@ -1245,7 +2543,8 @@ if (setLabel) setLabel.textContent = "";
       const params = {
         mode: baseMode, // Not used directly, baseMode is used in protocol
         baseMode: baseMode,
-        isJustLift: isJustLift,
+        // Velocity-based sets run on Just Lift frames and stop on velocity loss
+        isJustLift: isJustLift || !!vbtOptions,
         reps: reps,
         perCableKg: perCableKg,
         perCableDisplay: this.convertKgToDisplay(perCableKg),
@@ -1257,19 +2556,53 @@ if (setLabel) setLabel.textContent = "";
         sequenceID: 0x0b,
       };
 
+      // Segmented sets run on Just Lift frames so the trainer never ends the
+      // set on its own; the app moves between segments and sends STOP at the end
+      if (setTypeOptions) {
+        this.segmentedSet = new SegmentedSet(
+          setTypeOptions.type,
+          segments,
+          setTypeOptions,
+        );
+        this.segmentParams = { ...params, isJustLift: true };
+        // A rep schedule replaces the linear kg-per-rep progression
+        if (setTypeOptions.type === SetType.SCHEDULE) {
+          this.segmentParams.progressionKg = 0;
+          this.segmentParams.progressionDisplay = 0;
+        }
+      } else {
+        this.segmentedSet = null;
+        this.segmentParams = null;
+      }
+
       // Set rep targets before starting
       this.warmupTarget = 3; // Programs always use 3 warmup reps
       this.targetReps = reps;
-      this.isJustLiftMode = isJustLift;
+      // Velocity-based sets keep the Just Lift rest auto-stop as a fallback
+      this.isJustLiftMode = isJustLift || !!vbtOptions;
+      this.autoStop = this.isJustLiftMode
+        ? new AutoStopMonitor(this.resolveAutoStopSettings())
+        : null;
       this.lastRepCounter = undefined;
       this.lastTopCounter = undefined;
 
       // Reset workout state and set current workout info
       this.warmupReps = 0;
       this.workingReps = 0;
-      const modeName = isJustLift
-        ? `Just Lift (${ProgramModeNames[baseMode]})`
-        : ProgramModeNames[baseMode];
+      this.repAnalyzer.reset();
+      this.repDetector.reset();
+      this.repReconciler.reset();
+      this.vbt = vbtOptions ? new VelocityLossTracker(vbtOptions) : null;
+      this.renderVbtPanel();
+      let modeName = isJustLift
+        ? `Just Lift (${getProgramModeName(baseMode)})`
+        : getProgramModeName(baseMode);
+      if (this.vbt) {
+        modeName = `${modeName} VBT`;
+      }
+      if (this.segmentedSet) {
+        modeName = `${modeName} ${SetTypeNames[this.segmentedSet.type]}`;
+      }
 
 
 
@@ -1296,20 +2629,13 @@ const planItem = inPlan ? this.planItems[this.planCursor.index] : null;
       // Show auto-stop timer if Just Lift mode
       const autoStopTimer = document.getElementById("autoStopTimer");
       if (autoStopTimer) {
-        autoStopTimer.style.display = isJustLift ? "block" : "none";
+        autoStopTimer.style.display = this.isJustLiftMode ? "block" : "none";
       }
 
-      await this.device.startProgram(params);
-
-      // Set up monitor listener
-      this.device.addMonitorListener((sample) => {
-        this.updateLiveStats(sample);
-      });
+      this.captureWorkoutNote();
+      await this.device.startProgram(this.segmentParams || params);
 
-      // Set up rep listener
-      this.device.addRepListener((data) => {
-        this.handleRepNotification(data);
-      });
+      this.subscribeSetListeners();
 
       // Update stop button state
       this.updateStopButtonState();
@@ -1378,15 +2704,21 @@ if (setLabel) {
       this.warmupTarget = 3; // Always 3 for Echo mode
       this.targetReps = targetReps;
       this.isJustLiftMode = isJustLift;
+      this.autoStop = isJustLift
+        ? new AutoStopMonitor(this.resolveAutoStopSettings())
+        : null;
       this.lastRepCounter = undefined;
       this.lastTopCounter = undefined;
 
       // Reset workout state and set current workout info
       this.warmupReps = 0;
       this.workingReps = 0;
+      this.repAnalyzer.reset();
+      this.repDetector.reset();
+      this.repReconciler.reset();
       const modeName = isJustLift
-        ? `Just Lift Echo ${EchoLevelNames[level]}`
-        : `Echo ${EchoLevelNames[level]}`;
+        ? `Just Lift Echo ${getEchoLevelName(level)}`
+        : `Echo ${getEchoLevelName(level)}`;
       
 const inPlan = this.planActive && this.planItems[this.planCursor.index];
 const planItem = inPlan ? this.planItems[this.planCursor.index] : null;
@@ -1413,17 +2745,10 @@ this.currentWorkout = {
         autoStopTimer.style.display = isJustLift ? "block" : "none";
       }
 
+      this.captureWorkoutNote();
       await this.device.startEcho(params);
 
-      // Set up monitor listener
-      this.device.addMonitorListener((sample) => {
-        this.updateLiveStats(sample);
-      });
-
-      // Set up rep listener
-      this.device.addRepListener((data) => {
-        this.handleRepNotification(data);
-      });
+      this.subscribeSetListeners();
 
       // Update stop button state
       this.updateStopButtonState();
@@ -1450,6 +2775,225 @@ if (setLabel) {
 
   }
 
+  /* =========================
+     SESSION RECORDING / REPLAY
+     ========================= */
+
+  // Record the workout settings so a replay can rebuild the same state
+  captureWorkoutNote() {
+    if (!this.device.isCapturing() || !this.currentWorkout) {
+      return;
+    }
+    this.device.addCaptureNote("workout", {
+      warmupTarget: this.warmupTarget,
+      targetReps: this.targetReps,
+      isJustLift: this.isJustLiftMode,
+      autoStop: this.autoStop ? this.autoStop.settings : null,
+      stopAtTop: this.stopAtTop,
+      // Segments and VBT limits, so a replay can rebuild the set
+      segmentedSet: this.segmentedSet
+        ? {
+            type: this.segmentedSet.type,
+            segments: this.segmentedSet.segments,
+            failureTimeoutSec: this.segmentedSet.failureTimeoutMs / 1000,
+          }
+        : null,
+      vbt: this.vbt
+        ? {
+            lossPercent: this.vbt.lossThreshold,
+            zoneMin: this.vbt.zoneMin,
+            zoneMax: this.vbt.zoneMax,
+          }
+        : null,
+      workout: {
+        mode: this.currentWorkout.mode,
+        weightKg: this.currentWorkout.weightKg,
+        targetReps: this.currentWorkout.targetReps,
+        setName: this.currentWorkout.setName,
+        setNumber: this.currentWorkout.setNumber,
+        setTotal: this.currentWorkout.setTotal,
+        itemType: this.currentWorkout.itemType,
+      },
+    });
+  }
+
+  startRecording() {
+    this.device.startCapture();
+    this.updateRecordingUI();
+  }
+
+  // Stop recording and download the session as JSON
+  stopRecording() {
+    const session = this.device.stopCapture();
+    this.updateRecordingUI();
+    if (!session) {
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(session, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `vitruvian_session_${new Date().toISOString().split("T")[0]}_${Date.now()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    this.addLogEntry(
+      `Saved session with ${session.events.length} events`,
+      "success",
+    );
+  }
+
+  updateRecordingUI() {
+    const recordBtn = document.getElementById("recordBtn");
+    const stopRecordBtn = document.getElementById("stopRecordBtn");
+    const recording = this.device.isCapturing();
+    if (recordBtn) recordBtn.disabled = recording;
+    if (stopRecordBtn) stopRecordBtn.disabled = !recording;
+  }
+
+  // Replay a session file chosen in the file input
+  async replaySessionFile(input) {
+    const file = input.files && input.files[0];
+    input.value = "";
+    if (!file) {
+      return;
+    }
+
+    if (this.device.isConnected) {
+      alert("Disconnect from the device before replaying a session.");
+      return;
+    }
+
+    try {
+      const session = JSON.parse(await file.text());
+      const speedSelect = document.getElementById("replaySpeed");
+      const speed = speedSelect ? parseFloat(speedSelect.value) : 1;
+
+      if (!this.replayer) {
+        this.replayer = new SessionReplayer(this.device);
+        this.replayer.onNote = (name, payload) => {
+          if (name === "workout") {
+            this.applyReplayedWorkout(payload);
+          } else if (name === "segment") {
+            this.applyReplayedSegment(payload);
+          } else if (name === "workoutEnd" && this.currentWorkout) {
+            this.completeWorkout();
+          }
+        };
+        // Older recordings have no workoutEnd note; their sets end on the
+        // first STOP (they have no segments that stop between)
+        this.replayer.onWrite = (event) => {
+          if (
+            event.label === "Stop command" &&
+            this.currentWorkout &&
+            !this.replayer.session.events.some(
+              (e) => e.type === "note" && e.name === "workoutEnd",
+            )
+          ) {
+            this.completeWorkout();
+          }
+        };
+        this.replayer.onComplete = () => {
+          if (this.currentWorkout) {
+            this.completeWorkout();
+          }
+          this.updateReplayUI();
+        };
+      }
+
+      this.replayer.load(session);
+      this.resetRepCountersToEmpty();
+      this.replayer.start(speed);
+      this.updateReplayUI();
+    } catch (error) {
+      console.error("Replay error:", error);
+      this.addLogEntry(`Failed to replay session: ${error.message}`, "error");
+      alert(`Failed to replay session: ${error.message}`);
+    }
+  }
+
+  // Move to the next segment as recorded by advanceSegment()
+  applyReplayedSegment(note) {
+    if (!this.currentWorkout || !this.segmentedSet) {
+      return;
+    }
+    const next = this.beginNextSegment(note.reason);
+    if (next && note.restart) {
+      this.rebaselineAfterRestart();
+    }
+  }
+
+  stopReplay() {
+    if (!this.replayer || !this.replayer.active) {
+      return;
+    }
+    this.replayer.stop();
+    if (this.currentWorkout) {
+      this.completeWorkout();
+    }
+    this.addLogEntry("Session replay stopped", "info");
+    this.updateReplayUI();
+  }
+
+  updateReplayUI() {
+    const stopReplayBtn = document.getElementById("stopReplayBtn");
+    if (stopReplayBtn) {
+      stopReplayBtn.disabled = !(this.replayer && this.replayer.active);
+    }
+  }
+
+  // Restore the workout state recorded by captureWorkoutNote()
+  applyReplayedWorkout(note) {
+    this.warmupTarget = note.warmupTarget;
+    this.targetReps = note.targetReps;
+    this.isJustLiftMode = note.isJustLift;
+    // Recordings made before configurable auto-stop used the defaults
+    this.autoStop = note.isJustLift
+      ? new AutoStopMonitor(note.autoStop || AUTO_STOP_DEFAULTS)
+      : null;
+    this.stopAtTop = note.stopAtTop;
+    this.lastRepCounter = undefined;
+    this.lastTopCounter = undefined;
+    this.warmupReps = 0;
+    this.workingReps = 0;
+    this.repAnalyzer.reset(this.replayer.speed);
+    this.repDetector.reset();
+    this.repReconciler.reset();
+    // Recordings made before segments and VBT were captured replay as
+    // straight sets
+    const recordedSet = note.segmentedSet;
+    this.segmentedSet = recordedSet
+      ? new SegmentedSet(recordedSet.type, recordedSet.segments, recordedSet)
+      : null;
+    this.vbt = note.vbt ? new VelocityLossTracker(note.vbt) : null;
+    this.renderVbtPanel();
+
+    this.currentWorkout = {
+      ...note.workout,
+      replayed: true,
+      deviceInfo: this.replayer.session.deviceInfo || null,
+      startTime: new Date(),
+      warmupEndTime: null,
+      endTime: null,
+    };
+    this.updateRepCounters();
+
+    // Replayed data arrives through the normal listener path
+    this.subscribeSetListeners();
+
+    const autoStopTimer = document.getElementById("autoStopTimer");
+    if (autoStopTimer) {
+      autoStopTimer.style.display = note.isJustLift ? "block" : "none";
+    }
+
+    this.addLogEntry(`Replay: started ${note.workout.mode}`, "info");
+  }
+
   loadColorPreset() {
     const presetSelect = document.getElementById("colorPreset");
     const preset = presetSelect.value;
@@ -1498,7 +3042,9 @@ if (setLabel) {
       cables: 2,
       justLift: false,
       stopAtTop: false,
+      autoStop: null,                      // Just Lift auto-stop rules; null uses Configuration
       progressionKg: 0,                    // reuse progression logic if desired
+      repSchedule: "",                     // "% per rep" list; replaces progression when set
     };
   }
 
@@ -1514,6 +3060,7 @@ if (setLabel) {
       restSec: 60,
       justLift: false,
       stopAtTop: false,
+      autoStop: null,         // Just Lift auto-stop rules; null uses Configuration
     };
   }
 
@@ -1571,13 +3118,23 @@ _applyItemToUI(item){
     const repsInp   = document.getElementById("reps");
     const progInp   = document.getElementById("progression");
     const jlChk     = document.getElementById("justLiftCheckbox");
+    const vbtChk    = document.getElementById("vbtCheckbox");
 
+    // Plan rows never use velocity-based stopping; clear it before Just Lift
+    // so the reps input ends up enabled or disabled to match the row
+    if (vbtChk)    { vbtChk.checked = false; this.toggleVbt(); }
     if (modeSel)   modeSel.value = String(item.mode);
     if (weightInp) weightInp.value = this.formatWeightValue(item.perCableKg, this.getWeightInputDecimals());
     if (repsInp)   repsInp.value = String(item.reps);
     if (progInp)   progInp.value = this.formatWeightValue(item.progressionKg, this.getProgressionInputDecimals());
     if (jlChk)     { jlChk.checked = !!item.justLift; this.toggleJustLiftMode(); }
 
+    // Plan rows define the whole set: a rep schedule or a straight set
+    const setTypeSel = document.getElementById("setType");
+    const schedInp   = document.getElementById("repSchedule");
+    if (schedInp)   schedInp.value = item.repSchedule || "";
+    if (setTypeSel) { setTypeSel.value = item.repSchedule ? SetType.SCHEDULE : SetType.STRAIGHT; this.selectSetType(); }
+
   } else if (item.type === "echo") {
     // Echo Mode fields
     const levelSel  = document.getElementById("echoLevel");
@@ -1662,18 +3219,21 @@ _applyItemToUI(item){
             <input type="checkbox" ${item.stopAtTop ? "checked" : ""} onchange="app.updatePlanField(${i}, 'stopAtTop', this.checked)" style="width:auto;" />
             <span>Stop at Top of final rep</span>
           </label>
+          <details class="plan-auto-stop" ${item.autoStop ? "open" : ""}>
+            <summary>Just Lift auto-stop</summary>
+            <label style="display:flex; align-items:center; gap:8px; cursor:pointer;">
+              <input type="checkbox" ${item.autoStop ? "" : "checked"} onchange="app.togglePlanAutoStop(${i}, this.checked)" style="width:auto;" />
+              <span>Use my auto-stop settings</span>
+            </label>
+            ${item.autoStop ? renderAutoStopFields(item.autoStop, (field, value) => `app.updatePlanAutoStop(${i}, '${field}', ${value})`) : ""}
+          </details>
         </div>
       `;
 
       if (item.type === "exercise") {
         const displayPerCable = this.formatWeightValue(item.perCableKg);
-        const modeOptions = [
-          [ProgramMode.OLD_SCHOOL, "Old School"],
-          [ProgramMode.PUMP, "Pump"],
-          [ProgramMode.TUT, "TUT"],
-          [ProgramMode.TUT_BEAST, "TUT Beast"],
-          [ProgramMode.ECCENTRIC_ONLY, "Eccentric Only"],
-        ].map(([val, label]) => `<option value="${val}" ${item.mode===val?"selected":""}>${label}</option>`).join("");
+        const modeOptions = listProgramModes()
+          .map(({ mode, name }) => `<option value="${mode}" ${item.mode===mode?"selected":""}>${name}</option>`).join("");
 
         grid.innerHTML = `
           <div class="form-group">
@@ -1710,16 +3270,26 @@ _applyItemToUI(item){
                    oninput="app.updatePlanProgressionDisplay(${i}, this.value)" />
           </div>
 
+          <div class="form-group">
+            <label>Rep schedule (% per rep)</label>
+            <select onchange="app.applyPlanRepSchedulePreset(${i}, this.value)">
+              <option value="" selected disabled>Fill from shape…</option>
+              <option value="none">None (use progression)</option>
+              <option value="${RepSchedulePreset.ASCENDING}">Ascending</option>
+              <option value="${RepSchedulePreset.PYRAMID}">Pyramid</option>
+              <option value="${RepSchedulePreset.BACK_OFF}">Heavy first rep, then back-off</option>
+            </select>
+            <input type="text" placeholder="e.g. 90, 95, 100" style="margin-top:6px;"
+                   value="${item.repSchedule || ""}"
+                   onchange="app.updatePlanField(${i}, 'repSchedule', this.value.trim())" />
+          </div>
+
           ${commonHtml}
         `;
       } else {
         // echo
-        const levelOptions = [
-          [EchoLevel.HARD, "Hard"],
-          [EchoLevel.HARDER, "Harder"],
-          [EchoLevel.HARDEST, "Hardest"],
-          [EchoLevel.EPIC, "Epic"],
-        ].map(([val, label]) => `<option value="${val}" ${item.level===val?"selected":""}>${label}</option>`).join("");
+        const levelOptions = listEchoLevels()
+          .map(({ level, name }) => `<option value="${level}" ${item.level===level?"selected":""}>${name}</option>`).join("");
 
         grid.innerHTML = `
           <div class="form-group">
@@ -1801,6 +3371,36 @@ _applyItemToUI(item){
     if (!it) return;
     it[key] = value;
     // If user toggled stopAtTop on an item, nothing live to do yet; applied when running that item.
+
+    // Just Lift has no rep count for a rep schedule to follow, so a row
+    // uses one or the other
+    if (key === "justLift" && value && it.repSchedule) {
+      it.repSchedule = "";
+      this.renderPlanUI();
+    } else if (key === "repSchedule" && value && it.justLift) {
+      it.justLift = false;
+      this.renderPlanUI();
+    }
+  }
+
+  // Give a plan row its own auto-stop rules (starting from the current
+  // settings) or go back to the Configuration settings
+  togglePlanAutoStop(index, useDefaults) {
+    const it = this.planItems[index];
+    if (!it) return;
+    it.autoStop = useDefaults ? null : { ...this.autoStopSettings };
+    this.renderPlanUI();
+  }
+
+  updatePlanAutoStop(index, field, value) {
+    const it = this.planItems[index];
+    if (!it || !it.autoStop) return;
+    try {
+      it.autoStop = updateAutoStopSetting(it.autoStop, field, value);
+    } catch (error) {
+      alert(error.message);
+    }
+    this.renderPlanUI();
   }
 
   updatePlanPerCableDisplay(index, displayVal) {
@@ -1809,6 +3409,20 @@ _applyItemToUI(item){
     this.planItems[index].perCableKg = Math.max(0, kg);
   }
 
+  // Fill a plan row's rep schedule from a shape (5% steps over the row's reps)
+  applyPlanRepSchedulePreset(index, preset) {
+    const it = this.planItems[index];
+    if (!it) return;
+    it.repSchedule =
+      preset === "none"
+        ? ""
+        : formatRepSchedule(buildRepSchedule(preset, Math.max(1, it.reps), 5));
+    if (it.repSchedule) {
+      it.justLift = false;
+    }
+    this.renderPlanUI();
+  }
+
   updatePlanProgressionDisplay(index, displayVal) {
     const kg = this.convertDisplayToKg(parseFloat(displayVal));
     if (isNaN(kg)) return;
@@ -1832,6 +3446,7 @@ startPlan(){
   }
 
   this.planActive = true;
+  this.planAwaitingReconnect = false;
   this.planCursor = { index: 0, set: 1 };
   this.planOnWorkoutComplete = () => this._planAdvance();
   this.addLogEntry(`Starting plan with ${this.planItems.length} item(s)`, "success");
@@ -1853,6 +3468,13 @@ async _runCurrentPlanBlock(){
   const item = this.planItems[i];
   if (!item){ this._planFinish?.(); return; }
 
+  // Device dropped out (e.g. during rest): wait for the reconnect to run this block
+  if (!this.device.isConnected) {
+    this.planAwaitingReconnect = true;
+    this.addLogEntry("Plan: waiting for the device to reconnect…", "info");
+    return;
+  }
+
   // Prefill sidebar so startProgram/startEcho read the right values
   this._applyItemToUI?.(item);
 
@@ -1902,10 +3524,10 @@ _planAdvance(){
     let nextHtml = "";
     if (item.type === "exercise"){
       const w = this.convertKgToDisplay(item.perCableKg).toFixed(this.getWeightInputDecimals());
-      const modeName = ProgramModeNames?.[item.mode] || "Mode";
+      const modeName = getProgramModeName(item.mode);
       nextHtml = `${modeName} • ${w} ${unit}/cable × ${item.cables ?? 2} • ${item.reps} reps`;
     } else {
-      const lvl = EchoLevelNames?.[item.level] || "Level";
+      const lvl = getEchoLevelName(item.level);
       nextHtml = `${lvl} • ecc ${item.eccentricPct}% • target ${item.targetReps} reps`;
     }
 
@@ -1937,10 +3559,10 @@ _planAdvance(){
   let nextHtml = "";
   if (nextItem.type === "exercise"){
     const w = this.convertKgToDisplay(nextItem.perCableKg).toFixed(this.getWeightInputDecimals());
-    const modeName = ProgramModeNames?.[nextItem.mode] || "Mode";
+    const modeName = getProgramModeName(nextItem.mode);
     nextHtml = `${modeName} • ${w} ${unit}/cable × ${nextItem.cables ?? 2} • ${nextItem.reps} reps`;
   } else {
-    const lvl = EchoLevelNames?.[nextItem.level] || "Level";
+    const lvl = getEchoLevelName(nextItem.level);
     nextHtml = `${lvl} • ecc ${nextItem.eccentricPct}% • target ${nextItem.targetReps} reps`;
   }
 
@@ -2141,6 +3763,13 @@ _beginRest(totalSec, onDone, labelText = "Next set", nextHtml = "", nextItemOrNa
       const raw = localStorage.getItem(this.planKey(sel.value));
       if (!raw) { alert("Saved plan not found."); return; }
       this.planItems = JSON.parse(raw) || [];
+      for (const item of this.planItems) {
+        const autoStop = this.readPlanAutoStop(item.autoStop);
+        if (item.autoStop && !autoStop) {
+          this.addLogEntry(`Plan row "${item.name || item.type}": invalid auto-stop rules, using your settings`, "warning");
+        }
+        item.autoStop = autoStop;
+      }
       this.renderPlanUI();
       this.addLogEntry(`Loaded plan "${sel.value}"`, "success");
     } catch (e) {
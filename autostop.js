@@ -0,0 +1,239 @@
+// autostop.js - Rules that end a Just Lift set once the lifter is done
+//
+// Each enabled trigger watches the monitor stream for a resting condition and
+// ends the set once it has held for `holdSec`. Positions are judged against
+// the rep range learned from the rep counters, so nothing fires before the
+// first rep. Settings come from the Configuration section, or from a plan
+// item that overrides them:
+//   { triggers, thresholdPct, holdSec, minRange, stillUnits, loadDropPct }
+
+const AutoStopTrigger = {
+  BOTTOM: "bottom", // A cable rests near the bottom of its range
+  STILL: "still", // The cables stop moving anywhere in the range
+  LOAD_DROP: "loadDrop", // The load falls well below the set's peak
+  TOP: "top", // A cable is set down at the top of its range
+};
+
+const AutoStopTriggerNames = {
+  [AutoStopTrigger.BOTTOM]: "Resting at the bottom",
+  [AutoStopTrigger.STILL]: "No movement anywhere in the range",
+  [AutoStopTrigger.LOAD_DROP]: "Load drop",
+  [AutoStopTrigger.TOP]: "Cable set down at the top",
+};
+
+const AUTO_STOP_DEFAULTS = {
+  triggers: [AutoStopTrigger.BOTTOM],
+  thresholdPct: 5,
+  holdSec: 5,
+  minRange: 50,
+  stillUnits: 10,
+  loadDropPct: 50,
+};
+
+// Number settings with their input ranges
+const AUTO_STOP_FIELDS = [
+  {
+    name: "holdSec",
+    label: "Hold (s)",
+    min: 1,
+    max: 30,
+    step: 0.5,
+    hint: "How long a trigger must hold",
+  },
+  {
+    name: "thresholdPct",
+    label: "Zone (%)",
+    min: 1,
+    max: 30,
+    step: 1,
+    hint: "Bottom and top zones, % of the rep range",
+  },
+  {
+    name: "minRange",
+    label: "Minimum range",
+    min: 10,
+    max: 500,
+    step: 10,
+    hint: "Cables that moved less are ignored",
+  },
+  {
+    name: "stillUnits",
+    label: "Still within",
+    min: 2,
+    max: 100,
+    step: 1,
+    hint: "Position units that count as no movement",
+  },
+  {
+    name: "loadDropPct",
+    label: "Load drop (%)",
+    min: 10,
+    max: 90,
+    step: 5,
+    hint: "Stop below this % of the set's peak load",
+  },
+];
+
+// Error messages for a settings object (empty when valid)
+function validateAutoStopSettings(settings) {
+  const errors = [];
+  const triggers = settings.triggers;
+  if (!Array.isArray(triggers) || triggers.length === 0) {
+    errors.push("Choose at least one auto-stop trigger");
+  } else if (
+    triggers.some((t) => !Object.values(AutoStopTrigger).includes(t))
+  ) {
+    errors.push("Unknown auto-stop trigger");
+  }
+  for (const field of AUTO_STOP_FIELDS) {
+    const value = settings[field.name];
+    if (!Number.isFinite(value) || value < field.min || value > field.max) {
+      errors.push(`${field.label} must be ${field.min} to ${field.max}`);
+    }
+  }
+  return errors;
+}
+
+// Copy of `settings` with one field changed. `field` is a name from
+// AUTO_STOP_FIELDS (value is the input text) or "trigger.<trigger>" (value is
+// whether it is enabled). Throws if the input or the result is invalid.
+function updateAutoStopSetting(settings, field, value) {
+  let updated;
+  if (field.startsWith("trigger.")) {
+    const trigger = field.slice("trigger.".length);
+    const others = settings.triggers.filter((t) => t !== trigger);
+    updated = { ...settings, triggers: value ? [...others, trigger] : others };
+  } else {
+    const number = parseFloat(value);
+    const spec = AUTO_STOP_FIELDS.find((f) => f.name === field);
+    if (!spec) {
+      throw new Error(`Unknown auto-stop setting ${field}`);
+    }
+    if (!Number.isFinite(number)) {
+      throw new Error(`${spec.label} must be a number`);
+    }
+    updated = { ...settings, [field]: number };
+  }
+
+  const errors = validateAutoStopSettings(updated);
+  if (errors.length) {
+    throw new Error(errors[0]);
+  }
+  return updated;
+}
+
+// Inputs for a settings object. `call(field, valueExpr)` returns the inline
+// handler that applies a change (see updateAutoStopSetting).
+function renderAutoStopFields(settings, call) {
+  const triggers = Object.values(AutoStopTrigger)
+    .map(
+      (trigger) => `
+        <label class="auto-stop-trigger">
+          <input type="checkbox" ${settings.triggers.includes(trigger) ? "checked" : ""}
+            onchange="${call(`trigger.${trigger}`, "this.checked")}" />
+          <span>${AutoStopTriggerNames[trigger]}</span>
+        </label>`,
+    )
+    .join("");
+  const numbers = AUTO_STOP_FIELDS.map(
+    (field) => `
+      <label class="auto-stop-field" title="${field.hint}">
+        <span>${field.label}</span>
+        <input type="number" min="${field.min}" max="${field.max}"
+          step="${field.step}" value="${settings[field.name]}"
+          onchange="${call(field.name, "this.value")}" />
+      </label>`,
+  ).join("");
+  return `
+    <div class="auto-stop-triggers">${triggers}</div>
+    <div class="auto-stop-fields">${numbers}</div>
+  `;
+}
+
+// Watches one set's monitor samples against the auto-stop settings
+class AutoStopMonitor {
+  constructor(settings = {}) {
+    this.settings = { ...AUTO_STOP_DEFAULTS, ...settings };
+    this.since = {}; // Trigger -> when its condition started holding
+    this.stillAnchor = null; // Position the cables have stayed near
+    this.stillSince = null;
+    this.peakLoad = 0; // Highest combined load this set
+  }
+
+  // Feed a sample and the learned range { minA, maxA, minB, maxB }. Returns
+  // the trigger closest to firing as { trigger, progress } (1 = stop now), or
+  // null while none holds.
+  update(sample, range, now = Date.now()) {
+    const settings = this.settings;
+    const load = sample.loadA + sample.loadB;
+    this.peakLoad = Math.max(this.peakLoad, load);
+    this.trackStillness(sample, now);
+
+    // Need at least one cable to have established a range
+    const cables = [
+      { pos: sample.posA, min: range.minA, max: range.maxA },
+      { pos: sample.posB, min: range.minB, max: range.maxB },
+    ].filter(
+      (c) =>
+        c.min !== null && c.max !== null && c.max - c.min > settings.minRange,
+    );
+    if (cables.length === 0) {
+      this.since = {};
+      return null;
+    }
+
+    const zone = settings.thresholdPct / 100;
+    const holding = {
+      [AutoStopTrigger.BOTTOM]: cables.some(
+        (c) => c.pos <= c.min + (c.max - c.min) * zone,
+      ),
+      [AutoStopTrigger.TOP]: cables.some(
+        (c) => c.pos >= c.max - (c.max - c.min) * zone,
+      ),
+      [AutoStopTrigger.STILL]: this.stillSince !== null,
+      [AutoStopTrigger.LOAD_DROP]:
+        this.peakLoad > 0 &&
+        load < (this.peakLoad * settings.loadDropPct) / 100,
+    };
+
+    let leading = null;
+    for (const trigger of settings.triggers) {
+      if (!holding[trigger]) {
+        delete this.since[trigger];
+        continue;
+      }
+      // Stillness is timed from when the cables stopped, not from now
+      if (this.since[trigger] === undefined) {
+        this.since[trigger] =
+          trigger === AutoStopTrigger.STILL ? this.stillSince : now;
+      }
+      const progress = Math.min(
+        1,
+        (now - this.since[trigger]) / (settings.holdSec * 1000),
+      );
+      if (!leading || progress > leading.progress) {
+        leading = { trigger, progress };
+      }
+    }
+    return leading;
+  }
+
+  // The cables count as still while both stay within `stillUnits` of where
+  // they stopped
+  trackStillness(sample, now) {
+    const anchor = this.stillAnchor;
+    const limit = this.settings.stillUnits;
+    if (
+      anchor &&
+      Math.abs(sample.posA - anchor.posA) <= limit &&
+      Math.abs(sample.posB - anchor.posB) <= limit
+    ) {
+      if (this.stillSince === null) {
+        this.stillSince = anchor.at;
+      }
+      return;
+    }
+    this.stillAnchor = { posA: sample.posA, posB: sample.posB, at: now };
+    this.stillSince = null;
+  }
+}
@@ -0,0 +1,172 @@
+// decoders.js - Decoders for BLE notification payloads
+//
+// Each notify characteristic is registered by UUID with a named event and, once
+// its layout is known, a decoder that turns the raw payload into structured
+// fields. Bytes a decoder does not claim are kept in `unknown`, so nothing on
+// the wire is thrown away while the layouts are still being reverse-engineered.
+
+// Event names emitted for each notify characteristic. Only the rep counter
+// layout is understood; the others carry provisional names until their
+// meaning is known.
+const NotifyEvent = {
+  REP: "rep",
+  CHAR_383F: "notify:383f7276",
+  CHAR_74E9: "notify:74e994ac",
+  CHAR_67D0: "notify:67d0dae0",
+  CHAR_C7B7: "notify:c7b73007",
+  CHAR_36E6: "notify:36e6c2ee",
+  CHAR_EF0E: "notify:ef0e485a",
+  UNKNOWN: "notify:unknown",
+};
+
+// Reads fields from a payload while tracking which bytes were consumed
+class PayloadReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.used = new Array(bytes.length).fill(false);
+    this.reads = []; // { offset, size, type, value } in read order
+  }
+
+  record(offset, size, type, value) {
+    this.reads.push({ offset, size, type, value });
+    return value;
+  }
+
+  claim(offset, size) {
+    if (offset + size > this.bytes.length) {
+      return false;
+    }
+    for (let i = offset; i < offset + size; i++) {
+      this.used[i] = true;
+    }
+    return true;
+  }
+
+  u8(offset) {
+    return this.claim(offset, 1)
+      ? this.record(offset, 1, "u8", this.view.getUint8(offset))
+      : undefined;
+  }
+
+  u16(offset) {
+    return this.claim(offset, 2)
+      ? this.record(offset, 2, "u16", this.view.getUint16(offset, true))
+      : undefined;
+  }
+
+  i16(offset) {
+    return this.claim(offset, 2)
+      ? this.record(offset, 2, "i16", this.view.getInt16(offset, true))
+      : undefined;
+  }
+
+  u32(offset) {
+    return this.claim(offset, 4)
+      ? this.record(offset, 4, "u32", this.view.getUint32(offset, true))
+      : undefined;
+  }
+
+  f32(offset) {
+    return this.claim(offset, 4)
+      ? this.record(offset, 4, "f32", this.view.getFloat32(offset, true))
+      : undefined;
+  }
+
+  // Contiguous runs of bytes no field claimed
+  unknownRanges() {
+    const ranges = [];
+    let start = -1;
+    for (let i = 0; i <= this.bytes.length; i++) {
+      const unused = i < this.bytes.length && !this.used[i];
+      if (unused && start < 0) {
+        start = i;
+      } else if (!unused && start >= 0) {
+        const slice = this.bytes.subarray(start, i);
+        ranges.push({
+          offset: start,
+          length: i - start,
+          hex: bytesToHex(slice),
+        });
+        start = -1;
+      }
+    }
+    return ranges;
+  }
+}
+
+// uuid (lowercase) -> { event, decode(reader) -> fields }
+const notifyDecoders = new Map();
+
+// Register (or replace) the decoder for a notify characteristic. `decode` is
+// null while the characteristic's layout is unknown.
+function registerNotifyDecoder(uuid, event, decode) {
+  notifyDecoders.set(uuid.toLowerCase(), { event, decode });
+}
+
+// Decode one notification payload into { event, uuid, timestamp, fields, layout,
+// unknown, undecoded, raw }. `layout` lists the reads behind `fields` with their
+// offsets; decoders read one value per field, in the order the fields are
+// returned. `undecoded` is set when the characteristic's layout is unknown.
+function decodeNotification(uuid, bytes) {
+  const key = uuid.toLowerCase();
+  const entry = notifyDecoders.get(key);
+  const reader = new PayloadReader(bytes);
+  const decoded = {
+    event: entry ? entry.event : NotifyEvent.UNKNOWN,
+    uuid: key,
+    timestamp: new Date(),
+    fields: {},
+    layout: [],
+    unknown: [],
+    undecoded: !entry || !entry.decode,
+    raw: bytes,
+  };
+
+  if (entry && entry.decode) {
+    try {
+      decoded.fields = entry.decode(reader) || {};
+    } catch (error) {
+      console.error(`Decoder error for ${key}:`, error);
+    }
+  }
+
+  const names = Object.keys(decoded.fields);
+  decoded.layout = reader.reads.map((read, i) => ({
+    name:
+      reader.reads.length === names.length
+        ? names[i]
+        : `field_${read.offset.toString(16).padStart(2, "0")}`,
+    ...read,
+  }));
+  decoded.unknown = reader.unknownRanges();
+  return decoded;
+}
+
+// Rep counters: u16[0] increments at the top of the range, u16[2] when the rep completes
+function decodeRepNotification(reader) {
+  return {
+    topCounter: reader.u16(0),
+    completeCounter: reader.u16(4),
+  };
+}
+
+registerNotifyDecoder(
+  REP_NOTIFY_CHAR_UUID,
+  NotifyEvent.REP,
+  decodeRepNotification,
+);
+
+// The other characteristics' layouts are not known yet. They are registered
+// without a decoder so their events can still be subscribed to; every byte is
+// left in `unknown` and the result is marked `undecoded`.
+for (const [uuid, event] of [
+  ["383f7276-49af-4335-9072-f01b0f8acad6", NotifyEvent.CHAR_383F],
+  ["74e994ac-0e80-4c02-9cd0-76cb31d3959b", NotifyEvent.CHAR_74E9],
+  ["67d0dae0-5bfc-4ea2-acc9-ac784dee7f29", NotifyEvent.CHAR_67D0],
+  ["c7b73007-b245-4503-a1ed-9e4e97eb9802", NotifyEvent.CHAR_C7B7],
+  ["36e6c2ee-21c7-404e-aa9b-f74ca4728ad4", NotifyEvent.CHAR_36E6],
+  ["ef0e485a-8749-4314-b1be-01e57cd1712e", NotifyEvent.CHAR_EF0E],
+]) {
+  registerNotifyDecoder(uuid, event, null);
+}
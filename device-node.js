@@ -0,0 +1,67 @@
+// device-node.js - Loads the device code in Node (tests, kiosk helpers)
+//
+// The browser scripts share one global scope, so they are run in order in a
+// single VM context instead of being required one by one:
+//
+//   const { VitruvianDevice, WebSocketTransport } = require("./device-node.js");
+//   const device = new VitruvianDevice();
+//   device.setTransport(new WebSocketTransport("ws://localhost:8765"));
+//   await device.connect();
+//
+// Pass a WebSocket implementation (e.g. the "ws" package) as the second
+// WebSocketTransport argument on Node versions without a global WebSocket.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Same order as index.html
+const DEVICE_SCRIPTS = [
+  "modes.js",
+  "protocol.js",
+  "device.js",
+  "transport.js",
+  "decoders.js",
+  "simulator.js",
+];
+
+// Globals the scripts expose to Node
+const DEVICE_EXPORTS = [
+  "VitruvianDevice",
+  "DeviceEvent",
+  "LinkHealth",
+  "Transport",
+  "TransportChannel",
+  "WebBluetoothTransport",
+  "MockTransport",
+  "WebSocketTransport",
+  "VitruvianSimulator",
+  "SimulatedBluetooth",
+  "NotifyEvent",
+  "decodeNotification",
+  "ProgramMode",
+  "EchoLevel",
+  "buildProgramParams",
+  "buildEchoControl",
+  "decodeFrame",
+  "describeFrame",
+  "bytesToHex",
+  "hexToBytes",
+];
+
+const context = vm.createContext({
+  console,
+  setTimeout,
+  clearTimeout,
+  setInterval,
+  clearInterval,
+  TextEncoder,
+  TextDecoder,
+  WebSocket: globalThis.WebSocket,
+});
+for (const file of DEVICE_SCRIPTS) {
+  const source = fs.readFileSync(path.join(__dirname, file), "utf8");
+  vm.runInContext(source, context, { filename: file });
+}
+
+module.exports = vm.runInContext(`({ ${DEVICE_EXPORTS.join(", ")} })`, context);
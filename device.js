@@ -3,6 +3,17 @@
 const GATT_SERVICE_UUID = "00001801-0000-1000-8000-00805f9b34fb";
 const SERVICE_CHANGED_CHAR_UUID = "00002a05-0000-1000-8000-00805f9b34fb";
 
+// Standard Device Information service and the characteristics we read from it
+const DEVICE_INFO_SERVICE_UUID = "0000180a-0000-1000-8000-00805f9b34fb";
+const DEVICE_INFO_CHARS = {
+  manufacturer: "00002a29-0000-1000-8000-00805f9b34fb",
+  model: "00002a24-0000-1000-8000-00805f9b34fb",
+  serial: "00002a25-0000-1000-8000-00805f9b34fb",
+  hardware: "00002a27-0000-1000-8000-00805f9b34fb",
+  firmware: "00002a26-0000-1000-8000-00805f9b34fb",
+  software: "00002a28-0000-1000-8000-00805f9b34fb",
+};
+
 const NUS_SERVICE_UUID = "6e400001-b5a3-f393-e0a9-e50e24dcca9e";
 const NUS_RX_CHAR_UUID = "6e400002-b5a3-f393-e0a9-e50e24dcca9e";
 
@@ -10,6 +21,11 @@ const MONITOR_CHAR_UUID = "90e991a6-c548-44ed-969b-eb541014eae3";
 const PROPERTY_CHAR_UUID = "5fa538ec-d041-42f6-bbd6-c30d475387b7";
 const REP_NOTIFY_CHAR_UUID = "8308f2a6-0875-4a94-a86f-5c5c5e1b068a";
 
+// Known fields in the property payload (0x003f): { name, offset, type }.
+// The layout is still being reverse-engineered; apps can add their own with
+// VitruvianDevice.setPropertyFields().
+const PROPERTY_FIELDS = [];
+
 const NOTIFY_CHAR_UUIDS = [
   "383f7276-49af-4335-9072-f01b0f8acad6",
   "74e994ac-0e80-4c02-9cd0-76cb31d3959b",
@@ -20,44 +36,320 @@ const NOTIFY_CHAR_UUIDS = [
   "ef0e485a-8749-4314-b1be-01e57cd1712e",
 ];
 
+const MONITOR_POLL_INTERVAL_MS = 100;
+
+// GATT queue priorities (lower runs first)
+const GattPriority = {
+  SAFETY: 0, // Stop and other safety writes; also drops queued polling reads
+  WRITE: 1, // Regular command writes
+  POLL: 2, // Monitor/property polling reads
+};
+
+// Events emitted by VitruvianDevice (see on/off/once)
+const DeviceEvent = {
+  MONITOR: "monitor", // (sample) from the monitor poll
+  REP: "rep", // (data) raw rep notification payload
+  PROPERTY: "property", // (property) parsed property poll
+  CONNECTION: "connection", // (state, info) connected/reconnecting/reconnected/disconnected
+  WRITE: "write", // ({ label, withResponse, success, error }) after each write
+};
+
+// A group of subscriptions that are removed together, e.g. for one set
+class ListenerScope {
+  constructor(device) {
+    this.device = device;
+    this.disposers = [];
+  }
+
+  on(event, listener) {
+    const dispose = this.device.on(event, listener);
+    this.disposers.push(dispose);
+    return dispose;
+  }
+
+  once(event, listener) {
+    const dispose = this.device.once(event, listener);
+    this.disposers.push(dispose);
+    return dispose;
+  }
+
+  // Remove every subscription made through this scope
+  dispose() {
+    for (const dispose of this.disposers) {
+      dispose();
+    }
+    this.disposers = [];
+  }
+}
+
+// Empty Device Information record (every field null)
+function createDeviceInfo() {
+  const info = {};
+  for (const field of Object.keys(DEVICE_INFO_CHARS)) {
+    info[field] = null;
+  }
+  return info;
+}
+
+// Link quality metrics for the monitor polling loop. Tells a weak radio link
+// (slow or failed reads, missed samples) apart from what the lifter did.
+class LinkHealth {
+  constructor(targetIntervalMs = MONITOR_POLL_INTERVAL_MS) {
+    this.targetIntervalMs = targetIntervalMs;
+    this.windowSize = 50; // Samples kept for round-trip and rate averages
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = Date.now();
+    this.reads = 0;
+    this.failedReads = 0;
+    this.lastError = null;
+    this.roundTrips = []; // ms, most recent windowSize reads
+    this.readTimes = []; // Date.now() of the most recent reads
+    this.tickDeltas = []; // Recent tick increments between samples
+    this.lastTicks = null;
+    this.gaps = 0;
+    this.missedTicks = 0;
+    this.queueDepth = 0;
+    this.maxQueueDepth = 0;
+  }
+
+  pushWindow(list, value) {
+    list.push(value);
+    if (list.length > this.windowSize) {
+      list.shift();
+    }
+  }
+
+  // Record a successful monitor read
+  recordRead(roundTripMs, ticks, queueDepth) {
+    this.reads++;
+    this.pushWindow(this.roundTrips, roundTripMs);
+    this.pushWindow(this.readTimes, Date.now());
+    this.queueDepth = queueDepth;
+    this.maxQueueDepth = Math.max(this.maxQueueDepth, queueDepth);
+
+    if (this.lastTicks !== null) {
+      const delta = ticks - this.lastTicks;
+      if (delta < 0) {
+        // Counter went backwards (device reset): count it, start over
+        this.gaps++;
+        this.tickDeltas = [];
+      } else {
+        // A gap is a jump of more than twice the typical increment
+        const typical = this.medianTickDelta();
+        if (typical > 0 && delta > typical * 2) {
+          this.gaps++;
+          this.missedTicks += delta - typical;
+        }
+        this.pushWindow(this.tickDeltas, delta);
+      }
+    }
+    this.lastTicks = ticks;
+  }
+
+  // Record a read that threw (timeouts, GATT errors)
+  recordFailure(error) {
+    this.failedReads++;
+    this.lastError = error ? error.message : null;
+  }
+
+  medianTickDelta() {
+    if (this.tickDeltas.length < 5) {
+      return 0;
+    }
+    const sorted = [...this.tickDeltas].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  // Current metrics as a plain object (safe to store in history)
+  snapshot() {
+    const rtt = this.roundTrips;
+    const avgRoundTripMs = rtt.length
+      ? rtt.reduce((sum, value) => sum + value, 0) / rtt.length
+      : null;
+
+    let sampleRateHz = null;
+    if (this.readTimes.length >= 2) {
+      const span =
+        this.readTimes[this.readTimes.length - 1] - this.readTimes[0];
+      if (span > 0) {
+        sampleRateHz = ((this.readTimes.length - 1) * 1000) / span;
+      }
+    }
+
+    const targetRateHz = 1000 / this.targetIntervalMs;
+    const attempts = this.reads + this.failedReads;
+
+    return {
+      durationMs: Date.now() - this.startedAt,
+      reads: this.reads,
+      failedReads: this.failedReads,
+      failureRate: attempts > 0 ? this.failedReads / attempts : 0,
+      lastError: this.lastError,
+      avgRoundTripMs,
+      maxRoundTripMs: rtt.length ? Math.max(...rtt) : null,
+      sampleRateHz,
+      targetRateHz,
+      rateRatio: sampleRateHz !== null ? sampleRateHz / targetRateHz : null,
+      gaps: this.gaps,
+      missedTicks: this.missedTicks,
+      queueDepth: this.queueDepth,
+      maxQueueDepth: this.maxQueueDepth,
+    };
+  }
+}
+
 class VitruvianDevice {
   constructor() {
-    this.device = null;
-    this.server = null;
-    this.rxChar = null;
-    this.monitorChar = null;
-    this.propertyChar = null;
-    this.repNotifyChar = null;
+    this.transport = null; // Link to the trainer (see transport.js)
+    this.unsubscribeTransport = null;
     this.isConnected = false;
     this.propertyInterval = null;
     this.monitorInterval = null;
     this.onLog = null; // Callback for logging
-    this.propertyListeners = [];
-    this.repListeners = [];
-    this.monitorListeners = [];
+    this.deviceInfo = createDeviceInfo(); // Read from the Device Information service on connect
+    this.listeners = {}; // DeviceEvent -> listeners (see on/off/once)
+    this.notifyEventListeners = {}; // event name (or "*") -> listeners
     this.lastGoodPosA = 0;
     this.lastGoodPosB = 0;
+    this.propertyFields = [...PROPERTY_FIELDS];
 
     // GATT operation queue to prevent "operation already in progress" errors
-    this.gattQueue = [];
+    this.gattQueue = []; // Sorted by priority, FIFO within a priority
     this.gattBusy = false;
+    this.gattStats = this.createGattStats();
+
+    // Monitor link quality (see LinkHealth)
+    this.linkHealth = new LinkHealth();
+
+    // Automatic reconnect after an unexpected disconnect
+    this.onConnectionStateChange = null; // Callback (state, info); also emitted as DeviceEvent.CONNECTION
+    this.autoReconnect = true;
+    this.maxReconnectAttempts = 6;
+    this.reconnectBaseDelay = 500; // ms, doubled after each failed attempt
+    this.reconnectMaxDelay = 8000; // ms
+    this.reconnecting = false;
+    this.userDisconnect = false; // Set by disconnect() to suppress reconnects
+    this.transportDisconnectHandler = () => {
+      this.log("Device disconnected", "error");
+      this.handleDisconnect();
+      if (this.autoReconnect && !this.userDisconnect) {
+        this.reconnect();
+      }
+    };
+
+    // Session capture (see startCapture)
+    this.capture = null;
+    this.captureStartTime = 0;
   }
 
-  log(message, type = "info") {
+  // `payload` ({ kind, bytes, uuid }) attaches the raw bytes behind a log line
+  // so the UI can dissect them (see dissect.js)
+  log(message, type = "info", payload = null) {
     console.log(`[${type}] ${message}`);
     if (this.onLog) {
-      this.onLog(message, type);
+      this.onLog(message, type, payload);
     }
   }
 
-  // Queue a GATT operation to prevent concurrent access
-  async queueGattOperation(operation) {
+  // Queue a GATT operation to prevent concurrent access.
+  // Options: priority (GattPriority), tag (name for cancellation/stats) and
+  // dropStale (cancel operations with the same tag that are still queued).
+  async queueGattOperation(operation, options = {}) {
+    const {
+      priority = GattPriority.WRITE,
+      tag = null,
+      dropStale = false,
+    } = options;
+
+    if (dropStale && tag) {
+      this.cancelGattOperations((entry) => entry.tag === tag);
+    }
+
+    // Safety writes must go out next, so queued reads are stale by definition
+    if (priority === GattPriority.SAFETY) {
+      const dropped = this.cancelGattOperations(
+        (entry) => entry.priority === GattPriority.POLL,
+      );
+      if (dropped > 0) {
+        this.log(`Dropped ${dropped} queued polling reads`, "info");
+      }
+    }
+
     return new Promise((resolve, reject) => {
-      this.gattQueue.push({ operation, resolve, reject });
+      const entry = {
+        operation,
+        resolve,
+        reject,
+        priority,
+        tag,
+        enqueuedAt: Date.now(),
+      };
+
+      // Insert after every entry of the same or higher priority
+      let index = this.gattQueue.findIndex((e) => e.priority > priority);
+      if (index === -1) {
+        index = this.gattQueue.length;
+      }
+      this.gattQueue.splice(index, 0, entry);
+
+      this.gattStats.enqueued++;
+      this.gattStats.maxDepth = Math.max(
+        this.gattStats.maxDepth,
+        this.gattQueue.length,
+      );
       this.processGattQueue();
     });
   }
 
+  // Remove queued (not yet running) operations matching the predicate; their
+  // promises reject. Returns how many were cancelled.
+  cancelGattOperations(predicate) {
+    const cancelled = this.gattQueue.filter(predicate);
+    if (cancelled.length === 0) {
+      return 0;
+    }
+
+    this.gattQueue = this.gattQueue.filter((entry) => !predicate(entry));
+    for (const entry of cancelled) {
+      const error = new Error(`GATT operation cancelled (${entry.tag})`);
+      error.cancelled = true;
+      entry.reject(error);
+    }
+    this.gattStats.cancelled += cancelled.length;
+    return cancelled.length;
+  }
+
+  createGattStats() {
+    return {
+      enqueued: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      maxDepth: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      lastWaitMs: 0,
+    };
+  }
+
+  // Queue depth and wait-time measurements since the last reset
+  getGattQueueStats() {
+    const started = this.gattStats.completed + this.gattStats.failed;
+    return {
+      ...this.gattStats,
+      depth: this.gattQueue.length,
+      busy: this.gattBusy,
+      averageWaitMs: started > 0 ? this.gattStats.totalWaitMs / started : 0,
+    };
+  }
+
+  resetGattQueueStats() {
+    this.gattStats = this.createGattStats();
+  }
+
   // Process queued GATT operations one at a time
   async processGattQueue() {
     // Exit if already processing or queue is empty
@@ -74,12 +366,26 @@ class VitruvianDevice {
       return;
     }
 
-    const { operation, resolve, reject } = this.gattQueue.shift();
+    const { operation, resolve, reject, priority, tag, enqueuedAt } =
+      this.gattQueue.shift();
+
+    const waitMs = Date.now() - enqueuedAt;
+    this.gattStats.totalWaitMs += waitMs;
+    this.gattStats.lastWaitMs = waitMs;
+    this.gattStats.maxWaitMs = Math.max(this.gattStats.maxWaitMs, waitMs);
+    if (priority === GattPriority.SAFETY) {
+      this.log(
+        `${tag || "Safety operation"} waited ${waitMs}ms in queue`,
+        "info",
+      );
+    }
 
     try {
       const result = await operation();
+      this.gattStats.completed++;
       resolve(result);
     } catch (error) {
+      this.gattStats.failed++;
       reject(error);
     } finally {
       this.gattBusy = false;
@@ -88,9 +394,71 @@ class VitruvianDevice {
     }
   }
 
+  // Start recording all BLE traffic into a session object
+  startCapture() {
+    this.capture = {
+      format: "vitruvian-session",
+      version: 1,
+      startedAt: new Date().toISOString(),
+      deviceName: this.transport ? this.transport.name : null,
+      deviceInfo: { ...this.deviceInfo },
+      events: [],
+    };
+    this.captureStartTime = Date.now();
+    this.log("Session capture started", "info");
+  }
+
+  // Stop recording and return the captured session
+  stopCapture() {
+    const session = this.capture;
+    this.capture = null;
+    if (session) {
+      session.endedAt = new Date().toISOString();
+      this.log(
+        `Session capture stopped (${session.events.length} events)`,
+        "info",
+      );
+    }
+    return session;
+  }
+
+  isCapturing() {
+    return this.capture !== null;
+  }
+
+  // Append an event to the active capture (no-op when not capturing)
+  recordCaptureEvent(type, fields, bytes) {
+    if (!this.capture) {
+      return;
+    }
+    const event = { t: Date.now() - this.captureStartTime, type, ...fields };
+    if (bytes) {
+      event.data = bytesToHex(bytes);
+    }
+    this.capture.events.push(event);
+  }
+
+  // Record application context (e.g. workout settings) alongside the traffic
+  addCaptureNote(name, data) {
+    this.recordCaptureEvent("note", { name, payload: data });
+  }
+
+  // Refuse frames whose fields are out of range before they reach the device
+  assertValidFrame(label, payload) {
+    const errors = validateFrame(payload);
+    if (errors.length) {
+      const error = new Error(`${label} rejected: ${errors.join("; ")}`);
+      this.log(`Error: ${error.message}`, "error");
+      throw error;
+    }
+  }
+
   logWriteAttempt(label, payload) {
-    const hex = bytesToHex(payload);
-    this.log(`-> ${label} (${payload.length} bytes): ${hex}`, "info");
+    this.log(
+      `-> ${label} (${payload.length} bytes): ${describeFrame(payload)}`,
+      "info",
+      { kind: "frame", bytes: payload },
+    );
   }
 
   logWriteResult(label, success) {
@@ -101,151 +469,255 @@ class VitruvianDevice {
     }
   }
 
-  // Connect to the Vitruvian device
-  async connect() {
+  // Use a transport (WebBluetoothTransport, MockTransport, WebSocketTransport)
+  setTransport(transport) {
+    if (transport === this.transport) {
+      return;
+    }
+    if (this.transport) {
+      this.transport.onDisconnect = null;
+      this.transport.onLog = null;
+      this.unsubscribeTransport();
+    }
+
+    this.transport = transport;
+    this.transport.onLog = (message, type) => this.log(message, type);
+    this.transport.onDisconnect = this.transportDisconnectHandler;
+    this.unsubscribeTransport = this.transport.subscribe((uuid, value) => {
+      this.recordCaptureEvent("notify", { uuid }, value);
+      this.handleNotification(uuid, value);
+    });
+  }
+
+  // The current transport, defaulting to the browser's Web Bluetooth
+  getTransport() {
+    if (!this.transport) {
+      this.setTransport(
+        new WebBluetoothTransport(
+          typeof navigator !== "undefined" ? navigator.bluetooth : null,
+        ),
+      );
+    }
+    return this.transport;
+  }
+
+  // Connect to the Vitruvian device (options are passed to the transport)
+  async connect(options = {}) {
+    this.userDisconnect = false;
     try {
-      this.log("Requesting Bluetooth device...", "info");
+      await this.getTransport().connect(options);
+      this.deviceInfo = await this.readDeviceInfo();
+      this.isConnected = true;
+      this.log("Device ready!", "success");
+      this.notifyConnectionState("connected");
+      return true;
+    } catch (error) {
+      this.log(`Connection failed: ${error.message}`, "error");
+      throw error;
+    }
+  }
 
-      // Request device with filters
-      this.device = await navigator.bluetooth.requestDevice({
-        filters: [{ namePrefix: "Vee" }],
-        optionalServices: [NUS_SERVICE_UUID, GATT_SERVICE_UUID],
-      });
+  // Read model, serial and revisions; fields the trainer doesn't expose stay null
+  async readDeviceInfo() {
+    let info = createDeviceInfo();
+    try {
+      if (typeof this.transport.readDeviceInfo === "function") {
+        info = {
+          ...info,
+          ...(await this.queueGattOperation(() =>
+            this.transport.readDeviceInfo(),
+          )),
+        };
+      }
+    } catch (error) {
+      this.log(`Failed to read device information: ${error.message}`, "error");
+    }
 
-      this.log(`Found device: ${this.device.name}`, "success");
+    this.log(
+      `Device info: model ${info.model || "?"}, firmware ${info.firmware || "?"}, hardware ${info.hardware || "?"}, serial ${info.serial || "?"}`,
+      "info",
+    );
+    return info;
+  }
 
-      // Listen for disconnection
-      this.device.addEventListener("gattserverdisconnected", () => {
-        this.log("Device disconnected", "error");
-        this.handleDisconnect();
-      });
+  // Whether the connected trainer runs at least the given firmware
+  // (false when the firmware revision is unknown)
+  isFirmwareAtLeast(version) {
+    const result = compareFirmwareVersions(this.deviceInfo.firmware, version);
+    return result !== null && result >= 0;
+  }
 
-      // Connect to GATT server
-      this.log("Connecting to GATT server...", "info");
-      this.server = await this.device.gatt.connect();
+  // Connect to a previously paired trainer by id without showing the chooser
+  async connectKnown(deviceId, name = null) {
+    return this.connect({ deviceId, name });
+  }
 
-      this.log("Connected! Discovering services...", "success");
+  // Revoke the browser's permission for a remembered device (where supported)
+  async forgetKnown(deviceId) {
+    const transport = this.getTransport();
+    if (typeof transport.forgetKnownDevice !== "function") {
+      return false;
+    }
+    return transport.forgetKnownDevice(deviceId);
+  }
 
-      // Get the NUS service
-      const nusService = await this.server.getPrimaryService(NUS_SERVICE_UUID);
-      this.log("Found NUS service", "success");
+  // Whether paired devices can be reconnected without the chooser
+  supportsKnownDevices() {
+    const transport = this.getTransport();
+    return (
+      typeof transport.supportsKnownDevices === "function" &&
+      transport.supportsKnownDevices()
+    );
+  }
 
-      // Get all characteristics
-      const characteristics = await nusService.getCharacteristics();
-      this.log(`Discovered ${characteristics.length} characteristics`, "info");
+  // Retry the GATT connection with exponential backoff after a dropout
+  async reconnect() {
+    if (this.reconnecting || !this.transport) {
+      return false;
+    }
 
-      // Find and store our characteristics
-      for (const char of characteristics) {
-        const uuid = char.uuid.toLowerCase();
-        this.log(`  Characteristic: ${uuid}`, "info");
+    this.reconnecting = true;
+    let delay = this.reconnectBaseDelay;
 
-        if (uuid === NUS_RX_CHAR_UUID.toLowerCase()) {
-          this.rxChar = char;
-          this.log("    -> Using as command write characteristic", "success");
-        }
-        if (uuid === MONITOR_CHAR_UUID.toLowerCase()) {
-          this.monitorChar = char;
-          this.log("    -> Tagged monitor polling handle (0x0039)", "success");
-        }
-        if (uuid === PROPERTY_CHAR_UUID.toLowerCase()) {
-          this.propertyChar = char;
-          this.log("    -> Tagged property polling handle (0x003f)", "success");
+    try {
+      for (let attempt = 1; attempt <= this.maxReconnectAttempts; attempt++) {
+        this.notifyConnectionState("reconnecting", {
+          attempt,
+          maxAttempts: this.maxReconnectAttempts,
+        });
+        this.log(
+          `Reconnecting in ${delay}ms (attempt ${attempt}/${this.maxReconnectAttempts})...`,
+          "info",
+        );
+        await this.sleep(delay);
+
+        if (this.userDisconnect) {
+          return false;
         }
-        if (uuid === REP_NOTIFY_CHAR_UUID.toLowerCase()) {
-          this.repNotifyChar = char;
-          this.log("    -> Tagged rep notification handle (0x0036)", "success");
+
+        try {
+          await this.transport.reconnect();
+          this.isConnected = true;
+          this.log("Reconnected to device", "success");
+          this.notifyConnectionState("reconnected", { attempt });
+          return true;
+        } catch (error) {
+          this.log(
+            `Reconnect attempt ${attempt} failed: ${error.message}`,
+            "error",
+          );
+          this.handleDisconnect();
         }
-      }
 
-      if (!this.rxChar) {
-        throw new Error("RX characteristic not found");
+        delay = Math.min(delay * 2, this.reconnectMaxDelay);
       }
 
-      // Enable core notifications
-      await this.enableCoreNotifications();
-
-      this.isConnected = true;
-      this.log("Device ready!", "success");
-
-      return true;
-    } catch (error) {
-      this.log(`Connection failed: ${error.message}`, "error");
-      throw error;
+      this.log("Giving up on reconnecting to the device", "error");
+      this.notifyConnectionState("disconnected", {
+        reason: "reconnect-failed",
+      });
+      return false;
+    } finally {
+      this.reconnecting = false;
     }
   }
 
-  // Enable core BLE notifications
-  async enableCoreNotifications() {
-    try {
-      this.log("Enabling core BLE subscriptions...", "info");
-
-      // Get NUS service again for notifications
-      const nusService = await this.server.getPrimaryService(NUS_SERVICE_UUID);
-      const characteristics = await nusService.getCharacteristics();
-
-      // Enable notifications on all notify characteristics
-      for (const char of characteristics) {
-        const uuid = char.uuid.toLowerCase();
-
-        // Check if this is one of our notify characteristics
-        if (NOTIFY_CHAR_UUIDS.some((u) => u.toLowerCase() === uuid)) {
-          this.log(`  Enabling notifications on ${uuid}...`, "info");
-
-          if (uuid === REP_NOTIFY_CHAR_UUID.toLowerCase()) {
-            // Special handler for rep notifications
-            await char.startNotifications();
-            char.addEventListener("characteristicvaluechanged", (event) => {
-              const value = new Uint8Array(event.target.value.buffer);
-              this.log(`[notify rep] ${bytesToHex(value)}`, "info");
-              this.dispatchRepNotification(value);
-            });
-          } else {
-            // Generic handler for other notifications
-            await char.startNotifications();
-            char.addEventListener("characteristicvaluechanged", (event) => {
-              const value = new Uint8Array(event.target.value.buffer);
-              this.log(`[notify ${uuid}] ${bytesToHex(value)}`, "info");
-            });
-          }
-          this.log("    -> Notifications active", "success");
-        }
+  // Report connection state changes to the app
+  notifyConnectionState(state, info = {}) {
+    if (this.onConnectionStateChange) {
+      try {
+        this.onConnectionStateChange(state, info);
+      } catch (error) {
+        console.error("Connection state listener error:", error);
       }
+    }
+    this.emit(DeviceEvent.CONNECTION, state, info);
+  }
 
-      this.log("Core notifications enabled!", "success");
-    } catch (error) {
-      this.log(`Failed to enable notifications: ${error.message}`, "error");
+  // Decode a notification payload and dispatch it to listeners
+  handleNotification(uuid, value) {
+    const decoded = decodeNotification(uuid, value);
+    this.log(`[notify ${decoded.event}] ${bytesToHex(value)}`, "info", {
+      kind: "notify",
+      bytes: value,
+      uuid,
+    });
+
+    if (decoded.event === NotifyEvent.REP) {
+      this.dispatchRepNotification(value);
     }
+    this.dispatchNotifyEvent(decoded);
   }
 
   // Write to RX characteristic with response
-  async writeWithResponse(label, payload) {
-    return this.queueGattOperation(async () => {
-      try {
-        this.logWriteAttempt(label, payload);
-        await this.rxChar.writeValueWithResponse(payload);
-        this.logWriteResult(label, true);
-        return true;
-      } catch (error) {
-        this.logWriteResult(label, false);
-        this.log(`Error: ${error.message}`, "error");
-        throw error;
-      }
-    });
+  async writeWithResponse(label, payload, priority = GattPriority.WRITE) {
+    this.assertValidFrame(label, payload);
+    return this.queueGattOperation(
+      async () => {
+        try {
+          this.logWriteAttempt(label, payload);
+          this.recordCaptureEvent(
+            "write",
+            { label, withResponse: true },
+            payload,
+          );
+          await this.transport.write(payload, { withResponse: true });
+          this.logWriteResult(label, true);
+          this.emit(DeviceEvent.WRITE, {
+            label,
+            withResponse: true,
+            success: true,
+          });
+          return true;
+        } catch (error) {
+          this.logWriteResult(label, false);
+          this.log(`Error: ${error.message}`, "error");
+          this.emit(DeviceEvent.WRITE, {
+            label,
+            withResponse: true,
+            success: false,
+            error,
+          });
+          throw error;
+        }
+      },
+      { priority, tag: label },
+    );
   }
 
   // Write to RX characteristic without response
-  async writeWithoutResponse(label, payload) {
-    return this.queueGattOperation(async () => {
-      try {
-        this.logWriteAttempt(label, payload);
-        await this.rxChar.writeValueWithoutResponse(payload);
-        this.log(`<- ${label} queued (no response expected)`, "info");
-        return true;
-      } catch (error) {
-        this.log(`Error: ${error.message}`, "error");
-        throw error;
-      }
-    });
+  async writeWithoutResponse(label, payload, priority = GattPriority.WRITE) {
+    this.assertValidFrame(label, payload);
+    return this.queueGattOperation(
+      async () => {
+        try {
+          this.logWriteAttempt(label, payload);
+          this.recordCaptureEvent(
+            "write",
+            { label, withResponse: false },
+            payload,
+          );
+          await this.transport.write(payload, { withResponse: false });
+          this.log(`<- ${label} queued (no response expected)`, "info");
+          this.emit(DeviceEvent.WRITE, {
+            label,
+            withResponse: false,
+            success: true,
+          });
+          return true;
+        } catch (error) {
+          this.log(`Error: ${error.message}`, "error");
+          this.emit(DeviceEvent.WRITE, {
+            label,
+            withResponse: false,
+            success: false,
+            error,
+          });
+          throw error;
+        }
+      },
+      { priority, tag: label },
+    );
   }
 
   // Send initialization sequence
@@ -274,7 +746,7 @@ class VitruvianDevice {
 
     this.log("\nSending STOP command...", "info");
     const cmd = buildInitCommand(); // Stop command is same as init command
-    await this.writeWithResponse("Stop command", cmd);
+    await this.writeWithResponse("Stop command", cmd, GattPriority.SAFETY);
     this.log("Workout stopped!", "success");
   }
 
@@ -282,7 +754,7 @@ class VitruvianDevice {
   async startProgram(params) {
     const frame = buildProgramParams(params);
 
-    const modeStr = ProgramModeNames[params.mode];
+    const modeStr = getProgramModeName(params.mode);
     const unit = params.displayUnit || "kg";
     const perCableDisplay =
       typeof params.perCableDisplay === "number"
@@ -314,33 +786,46 @@ class VitruvianDevice {
       );
     }
 
-    this.log(`Sending program frame (96 bytes): ${bytesToHex(frame)}`, "info");
     await this.writeWithResponse("Program params", frame);
     this.log("Program started successfully!", "success");
 
     // Start property and monitor polling
+    this.linkHealth.reset();
     this.startPropertyPolling();
     this.startMonitorPolling();
   }
 
+  // Send new program params mid-set (a drop-set weight change, or the next
+  // rest-pause/cluster mini-set). Polling and link health keep running.
+  async changeProgram(params) {
+    const frame = buildProgramParams(params);
+    const unit = params.displayUnit || "kg";
+    const perCableDisplay =
+      typeof params.perCableDisplay === "number"
+        ? params.perCableDisplay
+        : params.perCableKg;
+    this.log(
+      `Continuing ${getProgramModeName(params.mode)} at ${perCableDisplay.toFixed(1)} ${unit} per cable`,
+      "info",
+    );
+    await this.writeWithResponse("Program change", frame);
+  }
+
   // Start Echo mode
   async startEcho(params) {
     const frame = buildEchoControl(params);
 
-    const levelStr = EchoLevelNames[params.level];
+    const levelStr = getEchoLevelName(params.level);
     this.log(
       `\nStarting Echo mode: ${levelStr} level, ${params.eccentricPct}% eccentric`,
       "info",
     );
 
-    this.log(
-      `Sending Echo control frame (${frame.length} bytes): ${bytesToHex(frame)}`,
-      "info",
-    );
     await this.writeWithResponse("Echo control", frame);
     this.log("Echo mode started successfully!", "success");
 
     // Start property and monitor polling
+    this.linkHealth.reset();
     this.startPropertyPolling();
     this.startMonitorPolling();
   }
@@ -360,10 +845,6 @@ class VitruvianDevice {
       );
     });
 
-    this.log(
-      `Sending color scheme frame (34 bytes): ${bytesToHex(frame)}`,
-      "info",
-    );
     await this.writeWithResponse("Color scheme", frame);
     this.log("Color scheme updated successfully!", "success");
   }
@@ -375,7 +856,10 @@ class VitruvianDevice {
       return;
     }
 
-    if (!this.propertyChar) {
+    if (
+      !this.transport ||
+      !this.transport.hasChannel(TransportChannel.PROPERTY)
+    ) {
       this.log("Property characteristic not available", "error");
       return;
     }
@@ -384,9 +868,16 @@ class VitruvianDevice {
 
     this.propertyInterval = setInterval(async () => {
       try {
-        const value = await this.queueGattOperation(() => this.propertyChar.readValue());
-        const data = new Uint8Array(value.buffer);
-        this.dispatchProperty(data);
+        const data = await this.queueGattOperation(
+          () => this.transport.read(TransportChannel.PROPERTY),
+          {
+            priority: GattPriority.POLL,
+            tag: "Property read",
+            dropStale: true,
+          },
+        );
+        this.recordCaptureEvent("property", {}, data);
+        this.dispatchProperty(this.parsePropertyData(data));
       } catch (error) {
         // Don't spam errors, just silently continue
       }
@@ -409,7 +900,10 @@ class VitruvianDevice {
       return;
     }
 
-    if (!this.monitorChar) {
+    if (
+      !this.transport ||
+      !this.transport.hasChannel(TransportChannel.MONITOR)
+    ) {
       this.log("Monitor characteristic not available", "error");
       return;
     }
@@ -420,15 +914,37 @@ class VitruvianDevice {
     );
 
     this.monitorInterval = setInterval(async () => {
+      let roundTripMs = 0;
       try {
-        const value = await this.queueGattOperation(() => this.monitorChar.readValue());
-        const data = new Uint8Array(value.buffer);
+        const data = await this.queueGattOperation(
+          async () => {
+            const started = Date.now();
+            const result = await this.transport.read(TransportChannel.MONITOR);
+            roundTripMs = Date.now() - started;
+            return result;
+          },
+          { priority: GattPriority.POLL, tag: "Monitor read", dropStale: true },
+        );
+        this.recordCaptureEvent("monitor", {}, data);
         const sample = this.parseMonitorData(data);
+        this.linkHealth.recordRead(
+          roundTripMs,
+          sample.ticks,
+          this.gattQueue.length,
+        );
         this.dispatchMonitor(sample);
       } catch (error) {
-        // Don't spam errors, just silently continue
+        // Don't spam the log; reads superseded by newer ones aren't failures
+        if (!error.cancelled) {
+          this.linkHealth.recordFailure(error);
+        }
       }
-    }, 100);
+    }, MONITOR_POLL_INTERVAL_MS);
+  }
+
+  // Link metrics for the current set (see LinkHealth.snapshot)
+  getLinkHealth() {
+    return this.linkHealth.snapshot();
   }
 
   // Stop monitor polling
@@ -440,6 +956,56 @@ class VitruvianDevice {
     }
   }
 
+  // Replace the named property fields (built-in PROPERTY_FIELDS plus any extras)
+  setPropertyFields(fields) {
+    this.propertyFields = [...PROPERTY_FIELDS, ...fields];
+  }
+
+  // Parse property data (0x003f)
+  parsePropertyData(data) {
+    const property = {
+      timestamp: new Date(),
+      fields: {},
+      words: [],
+      raw: data,
+    };
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const sizes = { u8: 1, u16: 2, i16: 2, u32: 4, f32: 4 };
+
+    // Named fields
+    for (const field of this.propertyFields) {
+      const size = sizes[field.type];
+      if (!size || field.offset + size > data.length) {
+        continue;
+      }
+      switch (field.type) {
+        case "u8":
+          property.fields[field.name] = view.getUint8(field.offset);
+          break;
+        case "u16":
+          property.fields[field.name] = view.getUint16(field.offset, true);
+          break;
+        case "i16":
+          property.fields[field.name] = view.getInt16(field.offset, true);
+          break;
+        case "u32":
+          property.fields[field.name] = view.getUint32(field.offset, true);
+          break;
+        case "f32":
+          property.fields[field.name] = view.getFloat32(field.offset, true);
+          break;
+      }
+    }
+
+    // Every offset as a raw u16 so undecoded properties can be studied
+    for (let offset = 0; offset + 2 <= data.length; offset += 2) {
+      property.words.push({ offset, value: view.getUint16(offset, true) });
+    }
+
+    return property;
+  }
+
   // Parse monitor data (0x0039)
   parseMonitorData(data) {
     const sample = {
@@ -493,50 +1059,104 @@ class VitruvianDevice {
     return sample;
   }
 
+  // Subscribe to a DeviceEvent; returns a function that unsubscribes
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  // Unsubscribe a listener added with on() or once()
+  off(event, listener) {
+    const listeners = this.listeners[event];
+    if (!listeners) {
+      return;
+    }
+    this.listeners[event] = listeners.filter(
+      (l) => l !== listener && l.listener !== listener,
+    );
+  }
+
+  // Subscribe for a single emission; returns a function that unsubscribes
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  // Group subscriptions so they can be removed together (e.g. at the end of a set)
+  createScope() {
+    return new ListenerScope(this);
+  }
+
+  // Call every listener for an event, isolating listener errors
+  emit(event, ...args) {
+    // Copy so listeners can unsubscribe while being called
+    const listeners = [...(this.listeners[event] || [])];
+    for (const listener of listeners) {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`${event} listener error:`, error);
+      }
+    }
+  }
+
   // Add listener for property data
   addPropertyListener(listener) {
-    this.propertyListeners.push(listener);
+    return this.on(DeviceEvent.PROPERTY, listener);
   }
 
   // Add listener for monitor data
   addMonitorListener(listener) {
-    this.monitorListeners.push(listener);
+    return this.on(DeviceEvent.MONITOR, listener);
   }
 
   // Add listener for rep notifications
   addRepListener(listener) {
-    this.repListeners.push(listener);
+    return this.on(DeviceEvent.REP, listener);
+  }
+
+  // Add listener for decoded notification events (see NotifyEvent); "*" receives all.
+  // Returns a function that removes the listener again.
+  addNotifyEventListener(event, listener) {
+    (this.notifyEventListeners[event] =
+      this.notifyEventListeners[event] || []).push(listener);
+    return () => {
+      this.notifyEventListeners[event] = this.notifyEventListeners[
+        event
+      ].filter((l) => l !== listener);
+    };
   }
 
   // Dispatch property data to listeners
-  dispatchProperty(data) {
-    for (const listener of this.propertyListeners) {
-      try {
-        listener(data);
-      } catch (error) {
-        console.error("Property listener error:", error);
-      }
-    }
+  dispatchProperty(property) {
+    this.emit(DeviceEvent.PROPERTY, property);
   }
 
   // Dispatch monitor data to listeners
   dispatchMonitor(sample) {
-    for (const listener of this.monitorListeners) {
-      try {
-        listener(sample);
-      } catch (error) {
-        console.error("Monitor listener error:", error);
-      }
-    }
+    this.emit(DeviceEvent.MONITOR, sample);
   }
 
   // Dispatch rep notification to listeners
   dispatchRepNotification(data) {
-    for (const listener of this.repListeners) {
+    this.emit(DeviceEvent.REP, data);
+  }
+
+  // Dispatch a decoded notification to its event listeners and "*" listeners
+  dispatchNotifyEvent(decoded) {
+    const listeners = [
+      ...(this.notifyEventListeners[decoded.event] || []),
+      ...(this.notifyEventListeners["*"] || []),
+    ];
+    for (const listener of listeners) {
       try {
-        listener(data);
+        listener(decoded);
       } catch (error) {
-        console.error("Rep listener error:", error);
+        console.error("Notify event listener error:", error);
       }
     }
   }
@@ -546,18 +1166,16 @@ class VitruvianDevice {
     this.isConnected = false;
     this.stopPropertyPolling();
     this.stopMonitorPolling();
-    this.rxChar = null;
-    this.monitorChar = null;
-    this.propertyChar = null;
-    this.repNotifyChar = null;
   }
 
   // Disconnect from device
   async disconnect() {
-    if (this.device && this.device.gatt.connected) {
+    // Suppress automatic reconnect until the next connect()
+    this.userDisconnect = true;
+    if (this.transport && this.transport.isConnected) {
       this.stopPropertyPolling();
       this.stopMonitorPolling();
-      await this.device.gatt.disconnect();
+      await this.transport.disconnect();
       this.log("Disconnected from device", "info");
     }
     this.handleDisconnect();
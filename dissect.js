@@ -0,0 +1,359 @@
+// dissect.js - Annotated field trees for logged frames and pasted hex
+//
+// A dissection is { title, nodes, error } where each node is
+// { offset, length, name, type, value, note, children }. Bytes no field
+// covers show up as "unknown" nodes so every byte on the wire is accounted for.
+
+// Monitor characteristic (0x0039) layout; offsets follow VitruvianDevice.parseMonitorData
+// (positions above 50000 are spikes the parser drops)
+const MONITOR_PAYLOAD = {
+  name: "Monitor",
+  length: 16,
+  fields: [
+    { name: "ticksLow", offset: 0x00, type: "u16" },
+    { name: "ticksHigh", offset: 0x02, type: "u16" },
+    { name: "posA", offset: 0x04, type: "u16" },
+    { name: "loadA", offset: 0x08, type: "u16", note: "kg × 100" },
+    { name: "posB", offset: 0x0a, type: "u16" },
+    { name: "loadB", offset: 0x0e, type: "u16", note: "kg × 100" },
+  ],
+};
+
+// Payload kinds the paste box can dissect as
+const DissectKind = {
+  AUTO: "auto",
+  FRAME: "frame",
+  MONITOR: "monitor",
+  PROPERTY: "property",
+  NOTIFY: "notify",
+};
+
+function dissectNode(offset, length, name, type, value, note = null) {
+  return { offset, length, name, type, value, note, children: [] };
+}
+
+// Fill the gaps between nodes with "unknown" nodes and sort by offset
+function withUnknownNodes(nodes, bytes) {
+  const covered = new Array(bytes.length).fill(false);
+  for (const node of nodes) {
+    for (let i = node.offset; i < node.offset + node.length; i++) {
+      covered[i] = true;
+    }
+  }
+
+  const gaps = [];
+  let gapStart = -1;
+  for (let i = 0; i <= bytes.length; i++) {
+    const open = i < bytes.length && !covered[i];
+    if (open && gapStart < 0) {
+      gapStart = i;
+    } else if (!open && gapStart >= 0) {
+      gaps.push(
+        dissectNode(
+          gapStart,
+          i - gapStart,
+          "unknown",
+          "bytes",
+          bytesToHex(bytes.subarray(gapStart, i)),
+        ),
+      );
+      gapStart = -1;
+    }
+  }
+  return [...nodes, ...gaps].sort((a, b) => a.offset - b.offset);
+}
+
+// Nodes for a frame schema (see protocol.js), with profile and color blocks expanded
+function dissectSchemaFields(schema, bytes) {
+  const nodes = schema.fields
+    .filter((field) => field.offset + frameFieldSize(field) <= bytes.length)
+    .map((field) => {
+      const value = readFrameField(bytes, field);
+      const node = dissectNode(
+        field.offset,
+        frameFieldSize(field),
+        field.name,
+        field.type,
+        field.type === "bytes" ? bytesToHex(value) : value,
+      );
+
+      if (field.const !== undefined && value !== field.const) {
+        node.note = `expected ${field.const}`;
+      } else if (field.type !== "bytes") {
+        const error = validateFrameField(field, value);
+        node.note = error ? error.replace(`${field.name} `, "") : null;
+      }
+
+      if (schema === PROGRAM_FRAME && field.name === "profile") {
+        const profile = parseModeProfile(value);
+        node.note =
+          profile.mode !== null
+            ? getProgramModeName(profile.mode)
+            : "custom profile";
+        node.children = profile.fields.map((f) =>
+          dissectNode(
+            field.offset + f.offset,
+            FrameFieldTypes[f.type].size,
+            `profile+0x${f.offset.toString(16).padStart(2, "0")}`,
+            f.type,
+            f.type === "f32" ? parseFloat(f.value.toPrecision(7)) : f.value,
+          ),
+        );
+      } else if (schema === COLOR_SCHEME_FRAME && field.name === "colors") {
+        for (let i = 0; i + 3 <= value.length; i += 3) {
+          const hex = bytesToHex(value.subarray(i, i + 3)).replace(/ /g, "");
+          node.children.push(
+            dissectNode(
+              field.offset + i,
+              3,
+              `color ${i / 3 + 1}`,
+              "rgb",
+              `#${hex}`,
+              i >= 9 ? "mirror" : null,
+            ),
+          );
+        }
+      }
+      return node;
+    });
+
+  return withUnknownNodes(nodes, bytes);
+}
+
+// Outgoing frame, decoded through its command ID's schema
+function dissectFrame(bytes) {
+  const schema = frameSchemaFor(bytes);
+  if (!schema) {
+    return {
+      title: describeFrame(bytes),
+      nodes: withUnknownNodes([], bytes),
+      error: bytes.length < 4 ? "Frame shorter than a command ID" : null,
+    };
+  }
+  return {
+    title: describeFrame(bytes),
+    nodes: dissectSchemaFields(schema, bytes),
+    error:
+      bytes.length < schema.length
+        ? `${schema.name} frame too short: ${bytes.length} bytes, expected ${schema.length}`
+        : null,
+  };
+}
+
+// Incoming notification, decoded by the decoder registered for its UUID
+function dissectNotification(uuid, bytes) {
+  const decoded = decodeNotification(uuid, bytes);
+  const nodes = decoded.layout.map((read) =>
+    dissectNode(read.offset, read.size, read.name, read.type, read.value),
+  );
+  return {
+    title: `Notification ${decoded.event} (${bytes.length} bytes${decoded.undecoded ? ", layout not decoded yet" : ""})`,
+    nodes: withUnknownNodes(nodes, bytes),
+    error: null,
+  };
+}
+
+// Monitor characteristic payload (0x0039)
+function dissectMonitor(bytes) {
+  const nodes = MONITOR_PAYLOAD.fields
+    .filter((field) => field.offset + frameFieldSize(field) <= bytes.length)
+    .map((field) => {
+      const value = readFrameField(bytes, field);
+      const spike = field.name.startsWith("pos") && value > 50000;
+      return dissectNode(
+        field.offset,
+        frameFieldSize(field),
+        field.name,
+        field.type,
+        value,
+        spike ? "spike, ignored" : field.note || null,
+      );
+    });
+
+  const tree = withUnknownNodes(nodes, bytes);
+  let title = `Monitor (${bytes.length} bytes)`;
+  if (bytes.length >= MONITOR_PAYLOAD.length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ticks = view.getUint16(0, true) + (view.getUint16(2, true) << 16);
+    const loadA = view.getUint16(8, true) / 100;
+    const loadB = view.getUint16(14, true) / 100;
+    title += `: ticks ${ticks}, load ${loadA}/${loadB} kg`;
+  }
+  return {
+    title,
+    nodes: tree,
+    error:
+      bytes.length < MONITOR_PAYLOAD.length
+        ? `Monitor payload too short: ${bytes.length} bytes, expected ${MONITOR_PAYLOAD.length}`
+        : null,
+  };
+}
+
+// Property characteristic payload (0x003f) as u16 words, named where labeled
+function dissectProperty(bytes, fields = []) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const names = {};
+  for (const field of fields) {
+    names[field.offset] = field.name;
+  }
+  const nodes = [];
+  for (let offset = 0; offset + 2 <= bytes.length; offset += 2) {
+    nodes.push(
+      dissectNode(
+        offset,
+        2,
+        names[offset] || `word_${offset.toString(16).padStart(2, "0")}`,
+        "u16",
+        view.getUint16(offset, true),
+      ),
+    );
+  }
+  return {
+    title: `Property (${bytes.length} bytes)`,
+    nodes: withUnknownNodes(nodes, bytes),
+    error: null,
+  };
+}
+
+// Find the notify UUID for an event name such as "rep" or "notify:383f7276"
+function notifyUuidForEvent(event) {
+  for (const [uuid, entry] of notifyDecoders) {
+    if (entry.event === event || uuid === event) {
+      return uuid;
+    }
+  }
+  return null;
+}
+
+// Pull the payload out of a pasted log line or bare hex. Recognizes
+// "-> Label (96 bytes): 04 00 ..." and "[notify <event or uuid>] 01 00 ...".
+function parsePastedPayload(text) {
+  const trimmed = text.trim();
+  const notify = trimmed.match(/\[notify ([^\]]+)\]\s*([0-9a-fA-F\s]+)$/);
+  if (notify) {
+    return {
+      kind: DissectKind.NOTIFY,
+      uuid: notifyUuidForEvent(notify[1].trim()) || notify[1].trim(),
+      bytes: hexToBytes(notify[2]),
+    };
+  }
+  const write = trimmed.match(/->.*\(\d+ bytes\):\s*([0-9a-fA-F\s]+)$/);
+  if (write) {
+    return { kind: DissectKind.FRAME, uuid: null, bytes: hexToBytes(write[1]) };
+  }
+  return { kind: DissectKind.AUTO, uuid: null, bytes: hexToBytes(trimmed) };
+}
+
+// Dissect bytes as the given kind; AUTO picks an outgoing frame when the
+// command ID and length match a schema, otherwise a monitor payload for
+// 16 bytes, otherwise a plain word dump
+function dissectPayload(bytes, kind = DissectKind.AUTO, uuid = null) {
+  switch (kind) {
+    case DissectKind.FRAME:
+      return dissectFrame(bytes);
+    case DissectKind.MONITOR:
+      return dissectMonitor(bytes);
+    case DissectKind.PROPERTY:
+      return dissectProperty(bytes);
+    case DissectKind.NOTIFY:
+      return dissectNotification(uuid || "", bytes);
+  }
+
+  const schema = frameSchemaFor(bytes);
+  if (schema && bytes.length === schema.length) {
+    return dissectFrame(bytes);
+  }
+  if (bytes.length === MONITOR_PAYLOAD.length) {
+    return dissectMonitor(bytes);
+  }
+  return dissectProperty(bytes);
+}
+
+function renderDissectNode(node) {
+  const offset = `0x${node.offset.toString(16).padStart(2, "0")}`;
+  const value =
+    typeof node.value === "number" && node.type !== "f32"
+      ? `${node.value} (0x${(node.value >>> 0).toString(16)})`
+      : node.value;
+  const children = node.children.length
+    ? `<ul>${node.children.map(renderDissectNode).join("")}</ul>`
+    : "";
+  return `
+    <li class="${node.name === "unknown" ? "dissect-unknown" : ""}">
+      <span class="dissect-offset">${offset}+${node.length}</span>
+      <span class="dissect-name">${node.name}</span>
+      <span class="dissect-type">${node.type}</span>
+      = <span class="dissect-value">${value}</span>
+      ${node.note ? `<span class="dissect-note">${node.note}</span>` : ""}
+      ${children}
+    </li>`;
+}
+
+// HTML for a dissection (used by log entries and the paste box)
+function renderDissection(dissection) {
+  return `
+    <div class="dissect-tree">
+      <div class="dissect-title">${dissection.title}</div>
+      ${dissection.error ? `<div class="dissect-error">${dissection.error}</div>` : ""}
+      <ul>${dissection.nodes.map(renderDissectNode).join("")}</ul>
+    </div>
+  `;
+}
+
+// Paste box: dissect hex copied from other tools or old logs
+class LogDissector {
+  constructor(containerId) {
+    this.containerId = containerId;
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const notifyOptions = [...notifyDecoders]
+      .map(
+        ([uuid, entry]) =>
+          `<option value="notify:${uuid}">Notification: ${entry.event}</option>`,
+      )
+      .join("");
+
+    container.innerHTML = `
+      <textarea id="${this.containerId}Input" class="dissect-input" rows="3"
+        placeholder="Paste hex or a log line, e.g. -> Program params (96 bytes): 04 00 00 00 ..."></textarea>
+      <div class="dissect-controls">
+        <select id="${this.containerId}Kind">
+          <option value="auto">Detect</option>
+          <option value="frame">Outgoing frame</option>
+          <option value="monitor">Monitor (0x0039)</option>
+          <option value="property">Property (0x003f)</option>
+          ${notifyOptions}
+        </select>
+        <button class="secondary" onclick="app.logDissector.dissect()">Dissect</button>
+      </div>
+      <div id="${this.containerId}Output"></div>
+    `;
+  }
+
+  dissect() {
+    const input = document.getElementById(`${this.containerId}Input`);
+    const kindSelect = document.getElementById(`${this.containerId}Kind`);
+    const output = document.getElementById(`${this.containerId}Output`);
+
+    try {
+      const pasted = parsePastedPayload(input.value);
+      let kind = pasted.kind;
+      let uuid = pasted.uuid;
+      if (kindSelect.value.startsWith("notify:")) {
+        kind = DissectKind.NOTIFY;
+        uuid = kindSelect.value.slice("notify:".length);
+      } else if (kindSelect.value !== DissectKind.AUTO) {
+        kind = kindSelect.value;
+      }
+      output.innerHTML = renderDissection(
+        dissectPayload(pasted.bytes, kind, uuid),
+      );
+    } catch (error) {
+      output.innerHTML = `<div class="dissect-error">${error.message}</div>`;
+    }
+  }
+}
@@ -0,0 +1,541 @@
+// lab.js - Protocol lab: edit frames field by field, diff against the stock
+// frame, send them and keep each experiment with the notifications it produced
+
+const LAB_MAX_EXPERIMENTS = 20; // Experiments kept in localStorage
+const LAB_MAX_EVENTS = 500; // Notifications/samples kept per experiment
+const LAB_STOP_GRACE_MS = 2000; // Keep recording this long after STOP
+
+// Stock frames the lab can start from: { key: { label, build() } }
+function createLabTemplates() {
+  const templates = {
+    init: { label: "Init command", build: () => buildInitCommand() },
+    initPreset: { label: "Init preset", build: () => buildInitPreset() },
+  };
+
+  for (const { mode, name } of listProgramModes()) {
+    templates[`program-${mode}`] = {
+      label: `Program params: ${name}, 10 reps, 5 kg/cable`,
+      build: () =>
+        buildProgramParams({
+          mode,
+          baseMode: mode,
+          isJustLift: false,
+          reps: 10,
+          perCableKg: 5,
+          effectiveKg: 15,
+          progressionKg: 0,
+        }),
+    };
+  }
+
+  for (const { level, name } of listEchoLevels()) {
+    templates[`echo-${level}`] = {
+      label: `Echo control: ${name}, 100% eccentric, 10 reps`,
+      build: () =>
+        buildEchoControl({
+          level,
+          eccentricPct: 100,
+          warmupReps: 3,
+          targetReps: 10,
+          isJustLift: false,
+        }),
+    };
+  }
+
+  for (const [key, scheme] of Object.entries(PredefinedColorSchemes)) {
+    templates[`color-${key}`] = {
+      label: `Color scheme: ${scheme.name}`,
+      build: () => buildColorScheme(scheme.brightness, scheme.colors),
+    };
+  }
+
+  return templates;
+}
+
+// Byte-by-byte differences between two frames: [{ offset, before, after }]
+function diffFrames(before, after) {
+  const changes = [];
+  for (let i = 0; i < Math.max(before.length, after.length); i++) {
+    if (before[i] !== after[i]) {
+      changes.push({ offset: i, before: before[i], after: after[i] });
+    }
+  }
+  return changes;
+}
+
+function formatOffset(offset) {
+  return `0x${offset.toString(16).padStart(2, "0")}`;
+}
+
+function formatFieldValue(field, value) {
+  return field.type === "bytes" ? bytesToHex(value) : String(value);
+}
+
+class ProtocolLab {
+  constructor(containerId, device) {
+    this.containerId = containerId;
+    this.device = device;
+    this.templates = createLabTemplates();
+    this.templateKey = "program-0";
+    this.maxPerCableKg = 20; // Lab weight cap, stricter than the frame schema
+    this.experiments = this.loadExperiments();
+    this.recording = null; // Experiment currently collecting notifications
+    this.stopRecordingTimer = null;
+    this.loadTemplate(this.templateKey);
+  }
+
+  // Start over from a template's stock frame
+  loadTemplate(key) {
+    this.templateKey = key;
+    this.stock = this.templates[key].build();
+    this.bytes = this.stock.slice();
+    this.render();
+  }
+
+  resetToStock() {
+    this.bytes = this.stock.slice();
+    this.render();
+  }
+
+  schema() {
+    return frameSchemaFor(this.bytes);
+  }
+
+  // Apply a field edit from the field table. Values are written unvalidated so
+  // the range errors show up below; sending stays blocked until they are fixed.
+  setField(name, text) {
+    const field = this.schema().fields.find((f) => f.name === name);
+    let value;
+    if (field.type === "bytes") {
+      try {
+        value = hexToBytes(text);
+      } catch (error) {
+        alert(error.message);
+        this.render();
+        return;
+      }
+      if (value.length !== field.length) {
+        alert(`${field.name} needs ${field.length} bytes`);
+        this.render();
+        return;
+      }
+    } else {
+      value = Number(text.trim());
+      if (text.trim() === "" || isNaN(value)) {
+        alert(`${field.name} needs a number`);
+        this.render();
+        return;
+      }
+    }
+    writeFrameField(this.bytes, field, value);
+    this.render();
+  }
+
+  // Replace the whole frame with hand-edited hex
+  setHex(text) {
+    try {
+      const bytes = hexToBytes(text);
+      if (bytes.length < 4) {
+        throw new Error("Frame shorter than a command ID");
+      }
+      this.bytes = bytes;
+    } catch (error) {
+      alert(error.message);
+    }
+    this.render();
+  }
+
+  setWeightCap(text) {
+    const cap = parseFloat(text);
+    if (!isNaN(cap) && cap >= 0) {
+      this.maxPerCableKg = cap;
+    }
+    this.render();
+  }
+
+  // Schema errors plus the lab weight cap; empty when the frame may be sent
+  validate() {
+    const errors = validateFrame(this.bytes);
+    const schema = this.schema();
+    if (schema === PROGRAM_FRAME && !errors.length) {
+      const fields = decodeFrameFields(PROGRAM_FRAME, this.bytes);
+      if (fields.perCableKg > this.maxPerCableKg) {
+        errors.push(
+          `perCableKg ${fields.perCableKg} is above the lab cap of ${this.maxPerCableKg} kg`,
+        );
+      }
+      if (fields.effectiveKg > this.maxPerCableKg + 10) {
+        errors.push(
+          `effectiveKg ${fields.effectiveKg} is above the lab cap of ${this.maxPerCableKg + 10} kg`,
+        );
+      }
+      // Progression adds weight every working rep, so the cap applies to the
+      // last one. Just Lift (repCount 0xff) has no last rep to bound it.
+      if (fields.progressionKg > 0) {
+        if (fields.repCount === 0xff) {
+          errors.push("progressionKg must not be positive in Just Lift");
+        } else {
+          const reps = fields.repCount - 3;
+          const finalKg =
+            Math.round((fields.perCableKg + fields.progressionKg * reps) * 10) /
+            10;
+          if (finalKg > this.maxPerCableKg) {
+            errors.push(
+              `perCableKg reaches ${finalKg} after ${reps} reps of progressionKg, above the lab cap of ${this.maxPerCableKg} kg`,
+            );
+          }
+        }
+      }
+      // The profile block is opaque to the schema; check its own fields
+      const profile = parseModeProfile(fields.profile);
+      for (const error of validateModeProfileValues(
+        profile.fields.map((f) => f.value),
+      )) {
+        errors.push(`profile ${error}`);
+      }
+    }
+    if (schema === ECHO_FRAME && !errors.length) {
+      const fields = decodeFrameFields(ECHO_FRAME, this.bytes);
+      if (fields.cap > this.maxPerCableKg) {
+        errors.push(
+          `cap ${fields.cap} is above the lab cap of ${this.maxPerCableKg} kg`,
+        );
+      }
+    }
+    return errors;
+  }
+
+  // Send the edited frame and start recording what the trainer does
+  async send() {
+    const errors = this.validate();
+    if (errors.length) {
+      alert(`Frame not sent:\n${errors.join("\n")}`);
+      return;
+    }
+    if (!this.device.isConnected) {
+      alert("Please connect to your Vitruvian device first");
+      return;
+    }
+
+    const schema = this.schema();
+    // Nothing in a frame without a schema can be checked, not even the cap
+    if (
+      !schema &&
+      !confirm(
+        "This command ID has no schema, so the frame cannot be checked against the lab cap. Send it anyway?",
+      )
+    ) {
+      return;
+    }
+    const frame = this.bytes.slice();
+    const experiment = {
+      id: Date.now(),
+      startedAt: new Date().toISOString(),
+      template: this.templates[this.templateKey].label,
+      frame: bytesToHex(frame),
+      stock: bytesToHex(this.stock),
+      changes: diffFrames(this.stock, frame),
+      result: "sending",
+      events: [],
+    };
+
+    this.finishRecording();
+    this.startRecording(experiment);
+    this.experiments.unshift(experiment);
+    this.experiments = this.experiments.slice(0, LAB_MAX_EXPERIMENTS);
+
+    try {
+      await this.device.writeWithResponse(
+        `Lab ${schema ? schema.name : "frame"}`,
+        frame,
+      );
+      experiment.result = "sent";
+
+      // Program and Echo frames start a set; poll so its effect is recorded
+      if (schema === PROGRAM_FRAME || schema === ECHO_FRAME) {
+        this.device.startPropertyPolling();
+        this.device.startMonitorPolling();
+      }
+    } catch (error) {
+      experiment.result = `failed: ${error.message}`;
+      this.finishRecording();
+    }
+
+    this.saveExperiments();
+    this.render();
+  }
+
+  // Always available: stop the trainer whatever the lab sent
+  async stop() {
+    try {
+      await this.device.sendStopCommand();
+    } catch (error) {
+      alert(`Failed to stop: ${error.message}`);
+    }
+    this.device.stopPropertyPolling();
+    this.device.stopMonitorPolling();
+
+    // Keep listening briefly so the trainer's reaction to STOP is saved too
+    if (this.recording) {
+      this.recordEvent("note", { name: "stop" });
+      clearTimeout(this.stopRecordingTimer);
+      this.stopRecordingTimer = setTimeout(
+        () => this.finishRecording(),
+        LAB_STOP_GRACE_MS,
+      );
+    }
+  }
+
+  startRecording(experiment) {
+    this.recording = {
+      experiment,
+      startTime: Date.now(),
+      scope: this.device.createScope(),
+    };
+    const removeNotify = this.device.addNotifyEventListener("*", (decoded) => {
+      this.recordEvent("notify", { event: decoded.event }, decoded.raw);
+    });
+    this.recording.removeNotify = removeNotify;
+    this.recording.scope.on(DeviceEvent.MONITOR, (sample) => {
+      this.recordEvent("monitor", {
+        posA: sample.posA,
+        posB: sample.posB,
+        loadA: sample.loadA,
+        loadB: sample.loadB,
+      });
+    });
+    this.recording.scope.on(DeviceEvent.CONNECTION, (state) => {
+      if (state === "disconnected") {
+        this.recordEvent("note", { name: "disconnected" });
+        this.finishRecording();
+      }
+    });
+  }
+
+  recordEvent(type, fields, bytes) {
+    if (!this.recording) {
+      return;
+    }
+    const events = this.recording.experiment.events;
+    if (events.length >= LAB_MAX_EVENTS) {
+      return;
+    }
+    const event = {
+      t: Date.now() - this.recording.startTime,
+      type,
+      ...fields,
+    };
+    if (bytes) {
+      event.data = bytesToHex(bytes);
+    }
+    events.push(event);
+  }
+
+  finishRecording() {
+    clearTimeout(this.stopRecordingTimer);
+    this.stopRecordingTimer = null;
+    if (!this.recording) {
+      return;
+    }
+    this.recording.removeNotify();
+    this.recording.scope.dispose();
+    this.recording = null;
+    this.saveExperiments();
+    this.render();
+  }
+
+  deleteExperiment(id) {
+    if (this.recording && this.recording.experiment.id === id) {
+      this.finishRecording();
+    }
+    this.experiments = this.experiments.filter((e) => e.id !== id);
+    this.saveExperiments();
+    this.render();
+  }
+
+  // Load an experiment's frame back into the editor
+  reuseExperiment(id) {
+    const experiment = this.experiments.find((e) => e.id === id);
+    if (experiment) {
+      this.setHex(experiment.frame);
+    }
+  }
+
+  downloadExperiment(id) {
+    const experiment = this.experiments.find((e) => e.id === id);
+    if (!experiment) {
+      return;
+    }
+    const blob = new Blob([JSON.stringify(experiment, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `vitruvian-lab-${experiment.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const schema = this.schema();
+    const changes = diffFrames(this.stock, this.bytes);
+    const changed = new Set(changes.map((c) => c.offset));
+    const errors = this.validate();
+
+    const templateOptions = Object.entries(this.templates)
+      .map(
+        ([key, t]) =>
+          `<option value="${key}" ${key === this.templateKey ? "selected" : ""}>${t.label}</option>`,
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="lab-toolbar">
+        <select onchange="app.protocolLab.loadTemplate(this.value)">${templateOptions}</select>
+        <label>Cap kg/cable
+          <input type="number" min="0" max="100" step="0.5" value="${this.maxPerCableKg}"
+            onchange="app.protocolLab.setWeightCap(this.value)" />
+        </label>
+        <button class="secondary" onclick="app.protocolLab.resetToStock()">Reset to stock</button>
+        <button onclick="app.protocolLab.send()" ${errors.length ? "disabled" : ""}>Send</button>
+        <button class="lab-stop" onclick="app.protocolLab.stop()">STOP</button>
+      </div>
+      ${
+        errors.length
+          ? `<div class="lab-errors">${errors.map((e) => `<div>${e}</div>`).join("")}</div>`
+          : ""
+      }
+      <div class="lab-summary">
+        ${describeFrame(this.bytes)}<br />
+        ${changes.length} byte${changes.length === 1 ? "" : "s"} differ from stock${this.recording ? " • recording notifications" : ""}
+      </div>
+      ${schema ? this.renderFields(schema) : `<div class="lab-summary">No schema for this command ID; edit the hex below.</div>`}
+      <div class="lab-bytes">${this.renderBytes(schema, changed)}</div>
+      <textarea class="lab-hex" rows="3"
+        onchange="app.protocolLab.setHex(this.value)">${bytesToHex(this.bytes)}</textarea>
+      <div class="bar-label">Experiments</div>
+      ${this.renderExperiments()}
+    `;
+  }
+
+  renderFields(schema) {
+    const sameSchema = frameSchemaFor(this.stock) === schema;
+    const rows = schema.fields
+      .map((field) => {
+        const value = readFrameField(this.bytes, field);
+        const stock = sameSchema
+          ? formatFieldValue(field, readFrameField(this.stock, field))
+          : "-";
+        const shown = formatFieldValue(field, value);
+        const range =
+          field.const !== undefined
+            ? `const ${field.const}`
+            : field.type === "bytes"
+              ? `${field.length} bytes`
+              : `${field.min ?? FrameFieldTypes[field.type].min}..${field.max ?? FrameFieldTypes[field.type].max}${field.sentinel !== undefined ? ` or ${field.sentinel}` : ""}`;
+        return `
+          <tr class="${shown !== stock ? "lab-changed" : ""}">
+            <td>${formatOffset(field.offset)}</td>
+            <td>${field.name}</td>
+            <td>${field.type}${field.endian === "be" ? " BE" : ""}</td>
+            <td><input value="${shown}"
+              onchange="app.protocolLab.setField('${field.name}', this.value)" /></td>
+            <td>${stock}</td>
+            <td>${range}</td>
+          </tr>`;
+      })
+      .join("");
+
+    return `
+      <table class="lab-fields">
+        <tr><th>Offset</th><th>Field</th><th>Type</th><th>Value</th><th>Stock</th><th>Allowed</th></tr>
+        ${rows}
+      </table>
+    `;
+  }
+
+  renderBytes(schema, changed) {
+    return Array.from(this.bytes)
+      .map((byte, offset) => {
+        const field = schema
+          ? schema.fields.find(
+              (f) =>
+                offset >= f.offset && offset < f.offset + frameFieldSize(f),
+            )
+          : null;
+        const classes = ["lab-byte"];
+        if (changed.has(offset)) classes.push("lab-changed");
+        if (!field) classes.push("lab-unmapped");
+        const title = `${formatOffset(offset)}${field ? ` ${field.name}` : " (no field)"}: stock ${
+          this.stock[offset] !== undefined
+            ? this.stock[offset].toString(16).padStart(2, "0")
+            : "-"
+        }`;
+        return `<span class="${classes.join(" ")}" title="${title}">${byte.toString(16).padStart(2, "0")}</span>`;
+      })
+      .join("");
+  }
+
+  renderExperiments() {
+    if (this.experiments.length === 0) {
+      return `<div style="color: #6c757d; font-size: 0.85em;">No experiments yet</div>`;
+    }
+    return this.experiments
+      .map((e) => {
+        const changes = e.changes.length
+          ? e.changes
+              .slice(0, 8)
+              .map(
+                (c) =>
+                  `${formatOffset(c.offset)} ${c.before?.toString(16) ?? "-"}→${c.after?.toString(16) ?? "-"}`,
+              )
+              .join(", ") + (e.changes.length > 8 ? ", …" : "")
+          : "stock frame";
+        const notifications = e.events.filter(
+          (ev) => ev.type === "notify",
+        ).length;
+        const samples = e.events.filter((ev) => ev.type === "monitor").length;
+        const live =
+          this.recording && this.recording.experiment.id === e.id
+            ? " • recording"
+            : "";
+        return `
+          <div class="lab-experiment">
+            <div><strong>${new Date(e.startedAt).toLocaleTimeString()}</strong> ${e.template} • ${e.result}${live}</div>
+            <div class="lab-experiment-meta">${changes}</div>
+            <div class="lab-experiment-meta">${notifications} notifications • ${samples} monitor samples</div>
+            <div class="trainer-actions">
+              <button onclick="app.protocolLab.reuseExperiment(${e.id})">Load frame</button>
+              <button class="secondary" onclick="app.protocolLab.downloadExperiment(${e.id})">JSON</button>
+              <button class="secondary" onclick="app.protocolLab.deleteExperiment(${e.id})">Delete</button>
+            </div>
+          </div>`;
+      })
+      .join("");
+  }
+
+  loadExperiments() {
+    try {
+      const raw = localStorage.getItem("vitruvian.labExperiments");
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveExperiments() {
+    try {
+      localStorage.setItem(
+        "vitruvian.labExperiments",
+        JSON.stringify(this.experiments),
+      );
+    } catch {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+}
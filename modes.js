@@ -17,6 +17,13 @@ const ProgramModeNames = {
   [ProgramMode.ECCENTRIC_ONLY]: "Eccentric Only",
 };
 
+// User-defined mode profiles get IDs from here up (see profiles.js)
+const CUSTOM_MODE_BASE = 100;
+
+// Custom mode profiles registered at runtime: mode -> { id, name, baseMode, values }
+// where values follow MODE_PROFILE_FIELDS
+const customModeProfiles = new Map();
+
 // Echo levels
 const EchoLevel = {
   HARD: 0,
@@ -32,6 +39,59 @@ const EchoLevelNames = {
   [EchoLevel.EPIC]: "Epic",
 };
 
+// User-defined Echo levels get IDs from here up (see profiles.js)
+const CUSTOM_ECHO_LEVEL_BASE = 100;
+
+// Echo parameters a custom level sets; eccentricPct stays a per-set choice
+const ECHO_LEVEL_PARAMS = [
+  "gain",
+  "cap",
+  "smoothing",
+  "floor",
+  "negLimit",
+  "concentricPct",
+];
+
+// Custom Echo levels registered at runtime: level -> { id, name, ...ECHO_LEVEL_PARAMS }
+const customEchoLevels = new Map();
+
+function isCustomEchoLevel(level) {
+  return customEchoLevels.has(level);
+}
+
+// Built-in or registered custom level
+function isKnownEchoLevel(level) {
+  return EchoLevelNames[level] !== undefined || isCustomEchoLevel(level);
+}
+
+function getEchoLevelName(level) {
+  if (isCustomEchoLevel(level)) {
+    return customEchoLevels.get(level).name;
+  }
+  return EchoLevelNames[level] || `Level ${level}`;
+}
+
+// Built-in levels followed by custom ones: [{ level, name, custom }]
+function listEchoLevels() {
+  const levels = Object.values(EchoLevel).map((level) => ({
+    level,
+    name: EchoLevelNames[level],
+    custom: false,
+  }));
+  for (const custom of customEchoLevels.values()) {
+    levels.push({ level: custom.id, name: custom.name, custom: true });
+  }
+  return levels;
+}
+
+function registerCustomEchoLevel(level) {
+  customEchoLevels.set(level.id, level);
+}
+
+function unregisterCustomEchoLevel(id) {
+  customEchoLevels.delete(id);
+}
+
 // Helper functions for writing binary data
 function writeU16LE(buffer, offset, val) {
   const view = new DataView(buffer);
@@ -50,6 +110,15 @@ function writeF32LE(buffer, offset, val) {
 
 // Get Echo parameters for a given level
 function getEchoParams(level, eccentricPct) {
+  if (isCustomEchoLevel(level)) {
+    const custom = customEchoLevels.get(level);
+    const params = { level, eccentricPct };
+    for (const name of ECHO_LEVEL_PARAMS) {
+      params[name] = custom[name];
+    }
+    return params;
+  }
+
   const params = {
     level: level,
     eccentricPct: eccentricPct,
@@ -83,8 +152,117 @@ function getEchoParams(level, eccentricPct) {
   return params;
 }
 
+// Fields of the 32-byte mode profile block. Their meaning is not known yet;
+// min/max bracket the built-in profiles with headroom and bound what the
+// profile editor accepts.
+const MODE_PROFILE_FIELDS = [
+  { offset: 0x00, type: "u16", min: 0, max: 1000 },
+  { offset: 0x02, type: "u16", min: 0, max: 1000 },
+  { offset: 0x04, type: "f32", min: 0, max: 100 },
+  { offset: 0x08, type: "u16", min: 0, max: 1000 },
+  { offset: 0x0a, type: "u16", min: 0, max: 1000 },
+  { offset: 0x0c, type: "f32", min: 0, max: 100 },
+  { offset: 0x10, type: "i16", min: -2000, max: 0 },
+  { offset: 0x12, type: "i16", min: -2000, max: 0 },
+  { offset: 0x14, type: "f32", min: 0, max: 200 },
+  { offset: 0x18, type: "i16", min: -500, max: 0 },
+  { offset: 0x1a, type: "i16", min: -500, max: 0 },
+  { offset: 0x1c, type: "f32", min: 0, max: 50 },
+];
+
+function isCustomMode(mode) {
+  return customModeProfiles.has(mode);
+}
+
+// Built-in or registered custom mode
+function isKnownProgramMode(mode) {
+  return ProgramModeNames[mode] !== undefined || isCustomMode(mode);
+}
+
+function getProgramModeName(mode) {
+  if (isCustomMode(mode)) {
+    return customModeProfiles.get(mode).name;
+  }
+  return ProgramModeNames[mode] || `Mode ${mode}`;
+}
+
+// The built-in mode a custom profile was derived from (the mode itself otherwise)
+function getBaseProgramMode(mode) {
+  return isCustomMode(mode) ? customModeProfiles.get(mode).baseMode : mode;
+}
+
+// Built-in modes followed by custom ones: [{ mode, name, custom }]
+function listProgramModes() {
+  const modes = Object.values(ProgramMode).map((mode) => ({
+    mode,
+    name: ProgramModeNames[mode],
+    custom: false,
+  }));
+  for (const profile of customModeProfiles.values()) {
+    modes.push({ mode: profile.id, name: profile.name, custom: true });
+  }
+  return modes;
+}
+
+function registerCustomModeProfile(profile) {
+  customModeProfiles.set(profile.id, profile);
+}
+
+function unregisterCustomModeProfile(id) {
+  customModeProfiles.delete(id);
+}
+
+// Check profile values against MODE_PROFILE_FIELDS; returns error messages
+function validateModeProfileValues(values) {
+  const errors = [];
+  MODE_PROFILE_FIELDS.forEach((field, i) => {
+    const value = values[i];
+    const label = `0x${field.offset.toString(16).padStart(2, "0")} (${field.type})`;
+    if (typeof value !== "number" || !isFinite(value)) {
+      errors.push(`${label} is not a number`);
+    } else if (field.type !== "f32" && !Number.isInteger(value)) {
+      errors.push(`${label} must be an integer`);
+    } else if (value < field.min || value > field.max) {
+      errors.push(
+        `${label} ${value} is out of range (${field.min} to ${field.max})`,
+      );
+    }
+  });
+  return errors;
+}
+
+// Build a 32-byte profile block from values in MODE_PROFILE_FIELDS order
+function buildModeProfile(values) {
+  const buffer = new ArrayBuffer(32);
+  MODE_PROFILE_FIELDS.forEach((field, i) => {
+    switch (field.type) {
+      case "u16":
+        writeU16LE(buffer, field.offset, values[i]);
+        break;
+      case "i16":
+        writeI16LE(buffer, field.offset, values[i]);
+        break;
+      case "f32":
+        writeF32LE(buffer, field.offset, values[i]);
+        break;
+    }
+  });
+  return new Uint8Array(buffer);
+}
+
+// Profile values of any known mode, in MODE_PROFILE_FIELDS order
+function getModeProfileValues(mode) {
+  return parseModeProfile(getModeProfile(mode)).fields.map((f) =>
+    f.type === "f32" ? parseFloat(f.value.toPrecision(7)) : f.value,
+  );
+}
+
 // Get mode profile block for program modes (32 bytes)
 function getModeProfile(mode) {
+  if (isCustomMode(mode)) {
+    return buildModeProfile(customModeProfiles.get(mode).values);
+  }
+
   const buffer = new ArrayBuffer(32);
   const data = new Uint8Array(buffer);
 
@@ -168,6 +346,66 @@ function getModeProfile(mode) {
   return data;
 }
 
+// Find the program mode (built-in first, then custom) whose profile block
+// matches exactly (null if none)
+function identifyModeProfile(profile) {
+  const modes = [...Object.values(ProgramMode), ...customModeProfiles.keys()];
+  for (const mode of modes) {
+    const reference = getModeProfile(mode);
+    if (
+      profile.length === reference.length &&
+      reference.every((b, i) => b === profile[i])
+    ) {
+      return mode;
+    }
+  }
+  return null;
+}
+
+// Decode a 32-byte mode profile block into its typed fields (MODE_PROFILE_FIELDS)
+function parseModeProfile(profile) {
+  const view = new DataView(
+    profile.buffer,
+    profile.byteOffset,
+    profile.byteLength,
+  );
+  return {
+    mode: identifyModeProfile(profile),
+    fields: MODE_PROFILE_FIELDS.map(({ offset, type }) => {
+      let value;
+      switch (type) {
+        case "u16":
+          value = view.getUint16(offset, true);
+          break;
+        case "i16":
+          value = view.getInt16(offset, true);
+          break;
+        case "f32":
+          value = view.getFloat32(offset, true);
+          break;
+      }
+      return { offset, type, value };
+    }),
+    raw: new Uint8Array(profile),
+  };
+}
+
+// Find the Echo level (built-in first, then custom) whose gain and cap match
+// (as stored in float32)
+function identifyEchoLevel(gain, cap) {
+  const levels = [...Object.values(EchoLevel), ...customEchoLevels.keys()];
+  for (const level of levels) {
+    const reference = getEchoParams(level, 0);
+    if (
+      Math.fround(reference.gain) === Math.fround(gain) &&
+      Math.fround(reference.cap) === Math.fround(cap)
+    ) {
+      return level;
+    }
+  }
+  return null;
+}
+
 // Predefined color schemes (from real app)
 const PredefinedColorSchemes = {
   blue: {
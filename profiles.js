@@ -0,0 +1,419 @@
+// profiles.js - User-defined mode profiles and Echo levels (persisted in localStorage)
+
+// Named custom definitions stored under `storageKey`. Each one is registered
+// with modes.js on load and save so its ID works anywhere a built-in does.
+class CustomProfileStore {
+  constructor(storageKey, baseId) {
+    this.storageKey = storageKey;
+    this.baseId = baseId; // IDs start here so they never collide with built-ins
+    this.profiles = this.load(); // [{ id, name, ... }]
+    for (const profile of this.profiles) {
+      this.register(profile);
+    }
+  }
+
+  // Subclasses: error messages for a profile's values
+  validate(profile) {
+    return [];
+  }
+
+  register(profile) {}
+
+  unregister(id) {}
+
+  list() {
+    return [...this.profiles];
+  }
+
+  get(id) {
+    return this.profiles.find((p) => p.id === id) || null;
+  }
+
+  nextId() {
+    return this.profiles.reduce(
+      (max, p) => Math.max(max, p.id + 1),
+      this.baseId,
+    );
+  }
+
+  // Add or update a profile; throws if it has no name or invalid values
+  save(profile) {
+    const name = (profile.name || "").trim();
+    if (!name) {
+      throw new Error("Please enter a name");
+    }
+    const errors = this.validate(profile);
+    if (errors.length) {
+      throw new Error(errors.join("\n"));
+    }
+
+    const saved = { ...profile, id: profile.id ?? this.nextId(), name };
+    const index = this.profiles.findIndex((p) => p.id === saved.id);
+    if (index >= 0) {
+      this.profiles[index] = saved;
+    } else {
+      this.profiles.push(saved);
+    }
+    this.register(saved);
+    this.persist();
+    return saved;
+  }
+
+  remove(id) {
+    this.profiles = this.profiles.filter((p) => p.id !== id);
+    this.unregister(id);
+    this.persist();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      const parsed = raw ? JSON.parse(raw) : [];
+      // Drop anything that no longer passes validation rather than send it
+      return Array.isArray(parsed)
+        ? parsed.filter(
+            (p) => p.id >= this.baseId && this.validate(p).length === 0,
+          )
+        : [];
+    } catch {
+      return [];
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.profiles));
+    } catch {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+}
+
+// Custom mode profiles: { id, name, baseMode, values } (see MODE_PROFILE_FIELDS)
+class CustomModeProfiles extends CustomProfileStore {
+  constructor() {
+    super("vitruvian.customModes", CUSTOM_MODE_BASE);
+  }
+
+  validate(profile) {
+    return Array.isArray(profile.values)
+      ? validateModeProfileValues(profile.values)
+      : ["Profile values are missing"];
+  }
+
+  register(profile) {
+    registerCustomModeProfile(profile);
+  }
+
+  unregister(id) {
+    unregisterCustomModeProfile(id);
+  }
+}
+
+// Check custom Echo level parameters against the Echo control frame ranges
+function validateEchoLevelParams(params) {
+  const errors = [];
+  for (const name of ECHO_LEVEL_PARAMS) {
+    const field = ECHO_FRAME.fields.find((f) => f.name === name);
+    const error = validateFrameField(field, params[name]);
+    if (error) {
+      errors.push(error);
+    }
+  }
+  return errors;
+}
+
+// Custom Echo levels: { id, name, ...ECHO_LEVEL_PARAMS }
+class CustomEchoLevels extends CustomProfileStore {
+  constructor() {
+    super("vitruvian.customEchoLevels", CUSTOM_ECHO_LEVEL_BASE);
+  }
+
+  validate(level) {
+    return validateEchoLevelParams(level);
+  }
+
+  register(level) {
+    registerCustomEchoLevel(level);
+  }
+
+  unregister(id) {
+    unregisterCustomEchoLevel(id);
+  }
+}
+
+// List + edit form for a CustomProfileStore. `handle` is the global path the
+// inline handlers use (e.g. "app.profileEditor").
+class CustomProfileEditor {
+  constructor(containerId, store, handle, noun) {
+    this.containerId = containerId;
+    this.store = store;
+    this.handle = handle;
+    this.noun = noun; // e.g. "mode", used in labels
+    this.draft = null; // Profile being edited
+    this.onChange = null; // Callback after a profile is saved or deleted
+    this.findUse = null; // Callback (id) -> where a profile is in use, or null
+  }
+
+  // Subclasses: a new unsaved profile copied from a built-in or custom source
+  createDraft(source) {
+    return null;
+  }
+
+  // Subclasses: [{ id, name }] the form can start from
+  listSources() {
+    return [];
+  }
+
+  // Subclasses: short description shown under a saved profile's name
+  describe(profile) {
+    return "";
+  }
+
+  // Subclasses: HTML inputs for the draft's values
+  renderFields(draft) {
+    return "";
+  }
+
+  startNew(source) {
+    this.draft = this.createDraft(source);
+    this.render();
+  }
+
+  edit(id) {
+    const profile = this.store.get(id);
+    if (!profile) {
+      return;
+    }
+    this.draft = JSON.parse(JSON.stringify(profile));
+    this.render();
+  }
+
+  // Replace the draft's values with another source's, keeping its name and ID
+  startFrom(source) {
+    if (!this.draft) {
+      return;
+    }
+    const { id, name } = this.draft;
+    this.draft = { ...this.createDraft(source), id, name };
+    this.render();
+  }
+
+  setName(name) {
+    if (this.draft) {
+      this.draft.name = name;
+    }
+  }
+
+  save() {
+    try {
+      const saved = this.store.save(this.draft);
+      this.draft = null;
+      this.render();
+      if (this.onChange) {
+        this.onChange(saved);
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  cancel() {
+    this.draft = null;
+    this.render();
+  }
+
+  remove(id) {
+    const profile = this.store.get(id);
+    if (!profile) {
+      return;
+    }
+    // Deleting would leave plan rows pointing at an ID that no longer exists
+    const use = this.findUse ? this.findUse(id) : null;
+    if (use) {
+      alert(
+        `Custom ${this.noun} "${profile.name}" is used by ${use}. Change it there before deleting.`,
+      );
+      return;
+    }
+    if (!confirm(`Delete custom ${this.noun} "${profile.name}"?`)) {
+      return;
+    }
+    this.store.remove(id);
+    if (this.draft && this.draft.id === id) {
+      this.draft = null;
+    }
+    this.render();
+    if (this.onChange) {
+      this.onChange(null);
+    }
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const profiles = this.store.list();
+    const listHtml = profiles.length
+      ? profiles
+          .map(
+            (p) => `
+          <div class="trainer-item">
+            <div class="trainer-name">${p.name} <span>${this.describe(p)}</span></div>
+            <div class="trainer-actions">
+              <button onclick="${this.handle}.edit(${p.id})">Edit</button>
+              <button class="secondary" onclick="${this.handle}.startNew(${p.id})">Copy</button>
+              <button class="secondary" onclick="${this.handle}.remove(${p.id})">Delete</button>
+            </div>
+          </div>`,
+          )
+          .join("")
+      : `<div style="color: #6c757d; font-size: 0.85em; margin-bottom: 8px;">No custom ${this.noun}s yet</div>`;
+
+    container.innerHTML = `
+      ${listHtml}
+      ${
+        this.draft
+          ? this.renderDraft()
+          : `<button class="secondary" onclick="${this.handle}.startNew()">New Custom ${this.noun[0].toUpperCase()}${this.noun.slice(1)}</button>`
+      }
+    `;
+  }
+
+  renderDraft() {
+    const draft = this.draft;
+    const errors = this.store.validate(draft);
+    const sourceOptions = this.listSources()
+      .filter((s) => s.id !== draft.id)
+      .map((s) => `<option value="${s.id}">${s.name}</option>`)
+      .join("");
+
+    return `
+      <div class="profile-editor">
+        <div class="form-group">
+          <label>Name</label>
+          <input type="text" value="${draft.name.replace(/"/g, "&quot;")}"
+            oninput="${this.handle}.setName(this.value)" />
+        </div>
+        <div class="form-group">
+          <label>Start from</label>
+          <select onchange="if (this.value) ${this.handle}.startFrom(parseInt(this.value))">
+            <option value="">Keep current values</option>
+            ${sourceOptions}
+          </select>
+        </div>
+        <div class="profile-fields">${this.renderFields(draft)}</div>
+        ${errors.length ? `<div class="lab-errors">${errors.join("<br />")}</div>` : ""}
+        <div class="trainer-actions">
+          <button onclick="${this.handle}.save()" ${errors.length ? "disabled" : ""}>Save</button>
+          <button class="secondary" onclick="${this.handle}.cancel()">Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderNumberField(label, hint, field, value, onchange) {
+    return `
+      <label class="profile-field">
+        <span>${label}</span>
+        <input type="number" min="${field.min}" max="${field.max}"
+          step="${field.type === "f32" ? "0.1" : "1"}" value="${value}"
+          onchange="${onchange}" />
+        <small>${hint}</small>
+      </label>`;
+  }
+}
+
+class ModeProfileEditor extends CustomProfileEditor {
+  constructor(containerId, store) {
+    super(containerId, store, "app.profileEditor", "mode");
+  }
+
+  createDraft(source = ProgramMode.OLD_SCHOOL) {
+    return {
+      id: null,
+      name: "",
+      baseMode: getBaseProgramMode(source),
+      values: getModeProfileValues(source),
+    };
+  }
+
+  listSources() {
+    return listProgramModes().map((m) => ({ id: m.mode, name: m.name }));
+  }
+
+  describe(profile) {
+    return `based on ${getProgramModeName(profile.baseMode)}`;
+  }
+
+  setValue(index, text) {
+    if (this.draft) {
+      this.draft.values[index] = parseFloat(text);
+      this.render();
+    }
+  }
+
+  renderFields(draft) {
+    return MODE_PROFILE_FIELDS.map((field, i) =>
+      this.renderNumberField(
+        `0x${field.offset.toString(16).padStart(2, "0")} ${field.type}`,
+        `${field.min} to ${field.max}`,
+        field,
+        draft.values[i],
+        `${this.handle}.setValue(${i}, this.value)`,
+      ),
+    ).join("");
+  }
+}
+
+const ECHO_LEVEL_PARAM_LABELS = {
+  gain: "Gain",
+  cap: "Cap",
+  smoothing: "Smoothing",
+  floor: "Floor",
+  negLimit: "Negative limit",
+  concentricPct: "Concentric %",
+};
+
+class EchoLevelEditor extends CustomProfileEditor {
+  constructor(containerId, store) {
+    super(containerId, store, "app.echoLevelEditor", "Echo level");
+  }
+
+  createDraft(source = EchoLevel.HARD) {
+    const params = getEchoParams(source, 0);
+    const draft = { id: null, name: "" };
+    for (const name of ECHO_LEVEL_PARAMS) {
+      draft[name] = params[name];
+    }
+    return draft;
+  }
+
+  listSources() {
+    return listEchoLevels().map((l) => ({ id: l.level, name: l.name }));
+  }
+
+  describe(level) {
+    return `gain ${level.gain}, cap ${level.cap}`;
+  }
+
+  setValue(name, text) {
+    if (this.draft) {
+      this.draft[name] = parseFloat(text);
+      this.render();
+    }
+  }
+
+  renderFields(draft) {
+    return ECHO_LEVEL_PARAMS.map((name) => {
+      const field = ECHO_FRAME.fields.find((f) => f.name === name);
+      return this.renderNumberField(
+        ECHO_LEVEL_PARAM_LABELS[name],
+        `${field.min} to ${field.max}`,
+        field,
+        draft[name],
+        `${this.handle}.setValue('${name}', this.value)`,
+      );
+    }).join("");
+  }
+}
@@ -1,200 +1,570 @@
-// protocol.js - BLE protocol frame builders
+// protocol.js - BLE protocol frame builders and parsers
+
+// Command IDs (u32 little-endian at offset 0 of every frame)
+const FrameCommand = {
+  INIT: 0x0a, // Also used as the stop command
+  PROGRAM: 0x04,
+  ECHO: 0x4e,
+  COLOR_SCHEME: 0x11, // Also used for the INIT preset
+};
+
+// Field types usable in a frame schema. Floats read back are trimmed to
+// float32 precision (so 0.4 reads as 0.4 rather than 0.4000000059604645).
+const FrameFieldTypes = {
+  u8: {
+    size: 1,
+    integer: true,
+    min: 0,
+    max: 0xff,
+    get: (view, offset) => view.getUint8(offset),
+    set: (view, offset, value) => view.setUint8(offset, value),
+  },
+  u16: {
+    size: 2,
+    integer: true,
+    min: 0,
+    max: 0xffff,
+    get: (view, offset, le) => view.getUint16(offset, le),
+    set: (view, offset, value, le) => view.setUint16(offset, value, le),
+  },
+  i16: {
+    size: 2,
+    integer: true,
+    min: -0x8000,
+    max: 0x7fff,
+    get: (view, offset, le) => view.getInt16(offset, le),
+    set: (view, offset, value, le) => view.setInt16(offset, value, le),
+  },
+  u32: {
+    size: 4,
+    integer: true,
+    min: 0,
+    max: 0xffffffff,
+    get: (view, offset, le) => view.getUint32(offset, le),
+    set: (view, offset, value, le) => view.setUint32(offset, value, le),
+  },
+  f32: {
+    size: 4,
+    integer: false,
+    min: -3.4e38,
+    max: 3.4e38,
+    get: (view, offset, le) =>
+      parseFloat(view.getFloat32(offset, le).toPrecision(7)),
+    set: (view, offset, value, le) => view.setFloat32(offset, value, le),
+  },
+};
+
+// Frame schemas. Each field has a name, offset and type ("bytes" fields also
+// a length), plus optional endian ("le" unless "be"), min/max, default and
+// sentinel (an out-of-range value that is still allowed). Fields with `const`
+// are always written with that value. Bytes not covered by a field are zero.
+
+const INIT_FRAME = {
+  name: "Init command",
+  length: 4,
+  fields: [
+    { name: "command", offset: 0x00, type: "u32", const: FrameCommand.INIT },
+  ],
+};
+
+const PROGRAM_FRAME = {
+  name: "Program params",
+  length: 96,
+  fields: [
+    { name: "command", offset: 0x00, type: "u32", const: FrameCommand.PROGRAM },
+    // reps + 3, or 0xff for Just Lift
+    {
+      name: "repCount",
+      offset: 0x04,
+      type: "u8",
+      min: 4,
+      max: 103,
+      sentinel: 0xff,
+    },
+    // Constant values from the working capture
+    { name: "unknown05", offset: 0x05, type: "u8", const: 0x03 },
+    { name: "unknown06", offset: 0x06, type: "u8", const: 0x03 },
+    { name: "unknown08", offset: 0x08, type: "f32", const: 5.0 },
+    { name: "unknown0c", offset: 0x0c, type: "f32", const: 5.0 },
+    { name: "unknown14", offset: 0x14, type: "u16", const: 250 },
+    { name: "unknown16", offset: 0x16, type: "u16", const: 250 },
+    { name: "unknown18", offset: 0x18, type: "u16", const: 200 },
+    { name: "unknown1a", offset: 0x1a, type: "u16", const: 30 },
+    { name: "unknown1c", offset: 0x1c, type: "f32", const: 5.0 },
+    { name: "unknown24", offset: 0x24, type: "u16", const: 250 },
+    { name: "unknown26", offset: 0x26, type: "u16", const: 250 },
+    { name: "unknown28", offset: 0x28, type: "u16", const: 200 },
+    { name: "unknown2a", offset: 0x2a, type: "u16", const: 30 },
+    { name: "unknown2c", offset: 0x2c, type: "u16", const: 250 },
+    { name: "unknown2e", offset: 0x2e, type: "u16", const: 80 },
+    // Mode profile block (see getModeProfile)
+    { name: "profile", offset: 0x30, type: "bytes", length: 32 },
+    // Per-cable weight + 10 kg
+    { name: "effectiveKg", offset: 0x54, type: "f32", min: 0, max: 110 },
+    { name: "perCableKg", offset: 0x58, type: "f32", min: 0, max: 100 },
+    // Progression/regression in kg per rep
+    {
+      name: "progressionKg",
+      offset: 0x5c,
+      type: "f32",
+      min: -3,
+      max: 3,
+      default: 0,
+    },
+  ],
+};
+
+const ECHO_FRAME = {
+  name: "Echo control",
+  length: 32,
+  fields: [
+    { name: "command", offset: 0x00, type: "u32", const: FrameCommand.ECHO },
+    {
+      name: "warmupReps",
+      offset: 0x04,
+      type: "u8",
+      min: 0,
+      max: 10,
+      default: 3,
+    },
+    // 0xff for Just Lift
+    {
+      name: "targetReps",
+      offset: 0x05,
+      type: "u8",
+      min: 0,
+      max: 30,
+      default: 2,
+      sentinel: 0xff,
+    },
+    { name: "reserved", offset: 0x06, type: "u16", const: 0 },
+    { name: "eccentricPct", offset: 0x08, type: "u16", min: 0, max: 150 },
+    {
+      name: "concentricPct",
+      offset: 0x0a,
+      type: "u16",
+      min: 0,
+      max: 150,
+      default: 50,
+    },
+    {
+      name: "smoothing",
+      offset: 0x0c,
+      type: "f32",
+      min: 0,
+      max: 1,
+      default: 0.1,
+    },
+    { name: "gain", offset: 0x10, type: "f32", min: 0, max: 10 },
+    { name: "cap", offset: 0x14, type: "f32", min: 0, max: 100 },
+    { name: "floor", offset: 0x18, type: "f32", min: 0, max: 100, default: 0 },
+    {
+      name: "negLimit",
+      offset: 0x1c,
+      type: "f32",
+      min: -200,
+      max: 0,
+      default: -100,
+    },
+  ],
+};
+
+const COLOR_SCHEME_FRAME = {
+  name: "Color scheme",
+  length: 34,
+  fields: [
+    {
+      name: "command",
+      offset: 0x00,
+      type: "u32",
+      const: FrameCommand.COLOR_SCHEME,
+    },
+    { name: "brightness", offset: 0x0c, type: "f32", min: 0, max: 1 },
+    // 6 RGB triplets: 3 colors repeated twice for left/right mirroring
+    { name: "colors", offset: 0x10, type: "bytes", length: 18 },
+  ],
+};
+
+// Schema for each command ID, used to validate raw frames before writing
+const FrameSchemas = {
+  [FrameCommand.INIT]: INIT_FRAME,
+  [FrameCommand.PROGRAM]: PROGRAM_FRAME,
+  [FrameCommand.ECHO]: ECHO_FRAME,
+  [FrameCommand.COLOR_SCHEME]: COLOR_SCHEME_FRAME,
+};
+
+function frameView(bytes, length, name) {
+  if (bytes.length < length) {
+    throw new Error(
+      `${name} frame too short: ${bytes.length} bytes, expected ${length}`,
+    );
+  }
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// Number of bytes a schema field occupies
+function frameFieldSize(field) {
+  return field.type === "bytes"
+    ? field.length
+    : FrameFieldTypes[field.type].size;
+}
+
+// Read one schema field from a frame (bytes fields come back as copies)
+function readFrameField(bytes, field) {
+  if (field.type === "bytes") {
+    return bytes.slice(field.offset, field.offset + field.length);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return FrameFieldTypes[field.type].get(
+    view,
+    field.offset,
+    field.endian !== "be",
+  );
+}
+
+// Write one schema field into a frame in place, without validating it
+function writeFrameField(bytes, field, value) {
+  if (field.type === "bytes") {
+    bytes.set(value, field.offset);
+    return;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  FrameFieldTypes[field.type].set(
+    view,
+    field.offset,
+    value,
+    field.endian !== "be",
+  );
+}
+
+// Check one field value against its schema entry; returns an error message or null
+function validateFrameField(field, value) {
+  if (field.type === "bytes") {
+    if (!value || value.length !== field.length) {
+      return `${field.name} must be ${field.length} bytes`;
+    }
+    const bad = Array.from(value).find(
+      (b) => !Number.isInteger(b) || b < 0 || b > 0xff,
+    );
+    return bad !== undefined ? `${field.name} has invalid byte ${bad}` : null;
+  }
+
+  const type = FrameFieldTypes[field.type];
+  if (typeof value !== "number" || !isFinite(value)) {
+    return `${field.name} is not a number (${value})`;
+  }
+  if (field.sentinel !== undefined && value === field.sentinel) {
+    return null;
+  }
+  if (type.integer && !Number.isInteger(value)) {
+    return `${field.name} must be an integer (${value})`;
+  }
+  const min = field.min ?? type.min;
+  const max = field.max ?? type.max;
+  if (value < min || value > max) {
+    return `${field.name} ${value} is out of range (${min} to ${max})`;
+  }
+  return null;
+}
+
+// Validate values for a schema without building anything; returns error messages.
+// Missing values fall back to the field default; const fields are not checked.
+function validateFrameValues(schema, values) {
+  const errors = [];
+  for (const field of schema.fields) {
+    if (field.const !== undefined) {
+      continue;
+    }
+    const value = values[field.name] ?? field.default;
+    if (value === undefined) {
+      errors.push(`${field.name} is missing`);
+      continue;
+    }
+    const error = validateFrameField(field, value);
+    if (error) {
+      errors.push(error);
+    }
+  }
+  return errors;
+}
+
+// Build a frame from a schema. Throws before building if any value is
+// missing, not a number or out of range.
+function encodeFrame(schema, values) {
+  const errors = validateFrameValues(schema, values);
+  if (errors.length) {
+    throw new Error(`Invalid ${schema.name} frame: ${errors.join("; ")}`);
+  }
+
+  const frame = new Uint8Array(schema.length);
+  for (const field of schema.fields) {
+    writeFrameField(
+      frame,
+      field,
+      field.const ?? values[field.name] ?? field.default,
+    );
+  }
+  return frame;
+}
+
+// Read every field of a schema out of a frame into { name: value }.
+// Bytes fields come back as copies. Throws if the frame is too short.
+function decodeFrameFields(schema, bytes) {
+  frameView(bytes, schema.length, schema.name);
+  const values = {};
+  for (const field of schema.fields) {
+    values[field.name] = readFrameField(bytes, field);
+  }
+  return values;
+}
+
+// The schema for a frame's command ID, or null
+function frameSchemaFor(bytes) {
+  if (bytes.length < 4) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return FrameSchemas[view.getUint32(0, true)] || null;
+}
+
+// Check a raw outgoing frame against the schema for its command ID; returns
+// error messages (empty for valid frames and for commands without a schema)
+function validateFrame(bytes) {
+  if (bytes.length < 4) {
+    return ["Frame shorter than a command ID"];
+  }
+  const schema = frameSchemaFor(bytes);
+  if (!schema) {
+    return [];
+  }
+  try {
+    return validateFrameValues(schema, decodeFrameFields(schema, bytes));
+  } catch (error) {
+    return [error.message];
+  }
+}
 
 // Build the initial 4-byte command sent before INIT
 function buildInitCommand() {
-  return new Uint8Array([0x0a, 0x00, 0x00, 0x00]);
+  return encodeFrame(INIT_FRAME, {});
 }
 
-// Build the INIT preset frame with coefficient table (34 bytes)
+// Build the INIT preset frame: a color scheme with brightness 0.4 and the
+// default colors (34 bytes)
 function buildInitPreset() {
-  return new Uint8Array([
-    0x11,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0x00,
-    0xcd,
-    0xcc,
-    0xcc,
-    0x3e, // 0.4 as float32 LE at offset 12
-    0xff,
-    0x00,
-    0x4c,
-    0xff,
-    0x23,
-    0x8c,
-    0xff,
-    0x8c,
-    0x8c,
-    0xff,
-    0x00,
-    0x4c,
-    0xff,
-    0x23,
-    0x8c,
-    0xff,
-    0x8c,
-    0x8c, // Repeated pattern
+  return buildColorScheme(0.4, [
+    { r: 0xff, g: 0x00, b: 0x4c },
+    { r: 0xff, g: 0x23, b: 0x8c },
+    { r: 0xff, g: 0x8c, b: 0x8c },
   ]);
 }
 
 // Build the 96-byte program parameters frame
 function buildProgramParams(params) {
-  const frame = new Uint8Array(96);
-  const buffer = frame.buffer;
-  const view = new DataView(buffer);
-
-  // Header section
-  frame[0] = 0x04;
-  frame[1] = 0x00;
-  frame[2] = 0x00;
-  frame[3] = 0x00;
-
-  // Reps field at offset 0x04
-  // For Just Lift, use 0xFF; for others, use reps+3
-  if (params.isJustLift) {
-    frame[0x04] = 0xff;
-  } else {
-    frame[0x04] = params.reps + 3;
-  }
-
-  // Some constant values from the working capture
-  frame[5] = 0x03;
-  frame[6] = 0x03;
-  frame[7] = 0x00;
-
-  // Float values at 0x08, 0x0c, 0x1c (appear to be constant 5.0)
-  view.setFloat32(0x08, 5.0, true); // true = little endian
-  view.setFloat32(0x0c, 5.0, true);
-  view.setFloat32(0x1c, 5.0, true);
-
-  // Fill in some other fields from the working capture
-  frame[0x14] = 0xfa;
-  frame[0x15] = 0x00;
-  frame[0x16] = 0xfa;
-  frame[0x17] = 0x00;
-  frame[0x18] = 0xc8;
-  frame[0x19] = 0x00;
-  frame[0x1a] = 0x1e;
-  frame[0x1b] = 0x00;
-
-  // Repeat pattern
-  frame[0x24] = 0xfa;
-  frame[0x25] = 0x00;
-  frame[0x26] = 0xfa;
-  frame[0x27] = 0x00;
-  frame[0x28] = 0xc8;
-  frame[0x29] = 0x00;
-  frame[0x2a] = 0x1e;
-  frame[0x2b] = 0x00;
-
-  frame[0x2c] = 0xfa;
-  frame[0x2d] = 0x00;
-  frame[0x2e] = 0x50;
-  frame[0x2f] = 0x00;
-
-  // Get the mode profile block (32 bytes for offsets 0x30-0x4F)
   // For Just Lift, use the baseMode; otherwise use the mode directly
   const profileMode = params.isJustLift ? params.baseMode : params.mode;
-  const profile = getModeProfile(profileMode);
-  frame.set(profile, 0x30);
-
-  // Effective weight at offset 0x54
-  view.setFloat32(0x54, params.effectiveKg, true);
-
-  // Per-cable weight at offset 0x58
-  view.setFloat32(0x58, params.perCableKg, true);
-
-  // Progression/Regression at offset 0x5C (kg per rep)
-  view.setFloat32(0x5c, params.progressionKg || 0.0, true);
+  if (!isKnownProgramMode(profileMode)) {
+    throw new Error(`Unknown program mode ${profileMode}`);
+  }
 
-  return frame;
+  return encodeFrame(PROGRAM_FRAME, {
+    repCount: params.isJustLift ? 0xff : params.reps + 3,
+    profile: getModeProfile(profileMode),
+    effectiveKg: params.effectiveKg,
+    perCableKg: params.perCableKg,
+    progressionKg: params.progressionKg,
+  });
 }
 
 // Build Echo mode control frame (32 bytes)
 function buildEchoControl(params) {
-  const frame = new Uint8Array(32);
-  const buffer = frame.buffer;
-  const view = new DataView(buffer);
-
-  // Command ID at 0x00 (u32) = 0x4E (78 decimal)
-  view.setUint32(0x00, 0x0000004e, true);
-
-  // Warmup (0x04) and working reps (0x05)
-  frame[0x04] = params.warmupReps || 3;
-
-  // For Just Lift Echo mode, use 0xFF; otherwise use targetReps
-  if (params.isJustLift) {
-    frame[0x05] = 0xff;
-  } else {
-    frame[0x05] = params.targetReps !== undefined ? params.targetReps : 2;
+  if (!isKnownEchoLevel(params.level)) {
+    throw new Error(`Unknown Echo level ${params.level}`);
   }
-
-  // Reserved at 0x06-0x07 (u16 = 0)
-  view.setUint16(0x06, 0, true);
-
-  // Get Echo parameters for this level
   const echoParams = getEchoParams(params.level, params.eccentricPct);
 
-  // Eccentric % at 0x08 (u16)
-  view.setUint16(0x08, echoParams.eccentricPct, true);
-
-  // Concentric % at 0x0A (u16)
-  view.setUint16(0x0a, echoParams.concentricPct, true);
+  return encodeFrame(ECHO_FRAME, {
+    warmupReps: params.warmupReps || 3,
+    targetReps: params.isJustLift ? 0xff : params.targetReps,
+    eccentricPct: echoParams.eccentricPct,
+    concentricPct: echoParams.concentricPct,
+    smoothing: echoParams.smoothing,
+    gain: echoParams.gain,
+    cap: echoParams.cap,
+    floor: echoParams.floor,
+    negLimit: echoParams.negLimit,
+  });
+}
 
-  // Smoothing at 0x0C (f32)
-  view.setFloat32(0x0c, echoParams.smoothing, true);
+// Build a 34-byte color scheme packet
+function buildColorScheme(brightness, colors) {
+  const triplets = colors.flatMap((color) => [color.r, color.g, color.b]);
+  return encodeFrame(COLOR_SCHEME_FRAME, {
+    brightness,
+    colors: [...triplets, ...triplets],
+  });
+}
 
-  // Gain at 0x10 (f32)
-  view.setFloat32(0x10, echoParams.gain, true);
+// Parse a 96-byte program parameters frame back into buildProgramParams() params.
+// `profile` holds the decoded mode profile block; `mode` is null when the block
+// matches none of the known modes.
+function parseProgramParams(bytes) {
+  const fields = decodeFrameFields(PROGRAM_FRAME, bytes);
+  const isJustLift = fields.repCount === 0xff;
+  const profile = parseModeProfile(fields.profile);
+
+  return {
+    mode: profile.mode,
+    baseMode: profile.mode,
+    isJustLift,
+    reps: isJustLift ? 0 : fields.repCount - 3,
+    effectiveKg: fields.effectiveKg,
+    perCableKg: fields.perCableKg,
+    progressionKg: fields.progressionKg,
+    profile,
+  };
+}
 
-  // Cap at 0x14 (f32)
-  view.setFloat32(0x14, echoParams.cap, true);
+// Parse a 32-byte Echo control frame back into buildEchoControl() params
+function parseEchoControl(bytes) {
+  const fields = decodeFrameFields(ECHO_FRAME, bytes);
+  const isJustLift = fields.targetReps === 0xff;
+
+  return {
+    level: identifyEchoLevel(fields.gain, fields.cap),
+    eccentricPct: fields.eccentricPct,
+    concentricPct: fields.concentricPct,
+    warmupReps: fields.warmupReps,
+    targetReps: isJustLift ? 0 : fields.targetReps,
+    isJustLift,
+    smoothing: fields.smoothing,
+    gain: fields.gain,
+    cap: fields.cap,
+    floor: fields.floor,
+    negLimit: fields.negLimit,
+  };
+}
 
-  // Floor at 0x18 (f32)
-  view.setFloat32(0x18, echoParams.floor, true);
+// Parse a 34-byte color scheme frame (also the INIT preset) into
+// { brightness, colors, mirrored } where colors are the first three triplets
+function parseColorScheme(bytes) {
+  const fields = decodeFrameFields(COLOR_SCHEME_FRAME, bytes);
+  const triplets = [];
+  for (let i = 0; i < fields.colors.length; i += 3) {
+    triplets.push({
+      r: fields.colors[i],
+      g: fields.colors[i + 1],
+      b: fields.colors[i + 2],
+    });
+  }
+  const colors = triplets.slice(0, 3);
+  const mirrored = colors.every(
+    (c, i) =>
+      c.r === triplets[i + 3].r &&
+      c.g === triplets[i + 3].g &&
+      c.b === triplets[i + 3].b,
+  );
+
+  return {
+    brightness: fields.brightness,
+    colors,
+    mirrored,
+  };
+}
 
-  // Neg limit at 0x1C (f32)
-  view.setFloat32(0x1c, echoParams.negLimit, true);
+// The INIT preset is a color scheme frame with the default colors
+function parseInitPreset(bytes) {
+  return parseColorScheme(bytes);
+}
 
-  return frame;
+function isInitPreset(bytes) {
+  const preset = buildInitPreset();
+  return (
+    bytes.length === preset.length && preset.every((b, i) => b === bytes[i])
+  );
 }
 
-// Build a 34-byte color scheme packet
-function buildColorScheme(brightness, colors) {
-  const frame = new Uint8Array(34);
-  const buffer = frame.buffer;
-  const view = new DataView(buffer);
-
-  // Command ID: 0x00000011
-  view.setUint32(0, 0x00000011, true);
-
-  // Reserved fields
-  view.setUint32(4, 0, true);
-  view.setUint32(8, 0, true);
-
-  // Brightness (float32)
-  view.setFloat32(12, brightness, true);
-
-  // Colors: 6 RGB triplets (3 colors repeated twice for left/right mirroring)
-  let offset = 16;
-  for (let i = 0; i < 2; i++) {
-    // Repeat twice
-    for (const color of colors) {
-      frame[offset++] = color.r;
-      frame[offset++] = color.g;
-      frame[offset++] = color.b;
+// Decode any outgoing frame by its command ID into { command, name, params,
+// length, error }. Never throws, so it is safe to use for logging.
+function decodeFrame(bytes) {
+  const decoded = {
+    command: null,
+    name: "Unknown",
+    params: null,
+    length: bytes.length,
+    error: null,
+  };
+  if (bytes.length < 4) {
+    decoded.error = "Frame shorter than a command ID";
+    return decoded;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  decoded.command = view.getUint32(0, true);
+
+  try {
+    switch (decoded.command) {
+      case FrameCommand.INIT:
+        decoded.name = "Init/Stop";
+        decoded.params = {};
+        break;
+      case FrameCommand.PROGRAM:
+        decoded.name = "Program params";
+        decoded.params = parseProgramParams(bytes);
+        break;
+      case FrameCommand.ECHO:
+        decoded.name = "Echo control";
+        decoded.params = parseEchoControl(bytes);
+        break;
+      case FrameCommand.COLOR_SCHEME:
+        decoded.name = isInitPreset(bytes) ? "Init preset" : "Color scheme";
+        decoded.params = parseColorScheme(bytes);
+        break;
     }
+  } catch (error) {
+    decoded.error = error.message;
   }
+  return decoded;
+}
 
-  return frame;
+// One-line human-readable description of an outgoing frame
+function describeFrame(bytes) {
+  const decoded = decodeFrame(bytes);
+  const p = decoded.params;
+
+  if (decoded.error || !p) {
+    const reason = decoded.error ? ` (${decoded.error})` : "";
+    return `${decoded.name}${reason}: ${bytesToHex(bytes)}`;
+  }
+
+  switch (decoded.command) {
+    case FrameCommand.INIT:
+      return "Init/Stop";
+    case FrameCommand.PROGRAM: {
+      const mode =
+        p.mode !== null ? getProgramModeName(p.mode) : "custom profile";
+      const reps = p.isJustLift ? "Just Lift" : `${p.reps} reps`;
+      return `Program params: ${mode}, ${reps}, ${p.perCableKg} kg/cable (${p.effectiveKg} kg effective), ${p.progressionKg} kg/rep progression`;
+    }
+    case FrameCommand.ECHO: {
+      const level =
+        p.level !== null
+          ? getEchoLevelName(p.level)
+          : `gain ${p.gain}, cap ${p.cap}`;
+      const reps = p.isJustLift ? "Just Lift" : `${p.targetReps} reps`;
+      return `Echo control: ${level}, ${p.eccentricPct}% eccentric, ${p.warmupReps} warmup, ${reps}`;
+    }
+    case FrameCommand.COLOR_SCHEME: {
+      const colors = p.colors
+        .map(
+          (c) =>
+            `#${[c.r, c.g, c.b].map((v) => v.toString(16).padStart(2, "0")).join("")}`,
+        )
+        .join(" ");
+      return `${decoded.name}: brightness ${p.brightness}, ${colors}`;
+    }
+  }
+  return `${decoded.name}: ${bytesToHex(bytes)}`;
 }
 
 // Helper to convert Uint8Array to hex string for logging
@@ -203,3 +573,43 @@ function bytesToHex(bytes) {
     .map((b) => b.toString(16).padStart(2, "0"))
     .join(" ");
 }
+
+// Helper to convert a hex string (spaces optional) back to a Uint8Array
+function hexToBytes(hex) {
+  const clean = hex.replace(/[^0-9a-fA-F]/g, "");
+  if (clean.length % 2 !== 0) {
+    throw new Error("Hex string has an odd number of digits");
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Parse a firmware revision string ("1.4.2", "v2.0-rc1") into numeric parts
+function parseFirmwareVersion(version) {
+  if (typeof version !== "string") {
+    return null;
+  }
+  const match = version.match(/\d+(\.\d+)*/);
+  return match ? match[0].split(".").map((part) => parseInt(part, 10)) : null;
+}
+
+// Compare two firmware revisions: -1, 0 or 1, or null if either is unknown.
+// Frame layouts may change between firmware releases; builders can branch on this.
+function compareFirmwareVersions(a, b) {
+  const left = parseFirmwareVersion(a);
+  const right = parseFirmwareVersion(b);
+  if (!left || !right) {
+    return null;
+  }
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const l = left[i] || 0;
+    const r = right[i] || 0;
+    if (l !== r) {
+      return l < r ? -1 : 1;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,141 @@
+// repdetector.js - Rep counting from cable positions, as a fallback for rep notifications
+//
+// Reps normally come from the u16 counters on REP_NOTIFY_CHAR_UUID, and a late
+// or dropped notification loses a rep. PositionRepDetector finds the same reps
+// in the monitor stream: a top when the cables rise past most of the learned
+// rep range and a bottom (rep complete) when they fall back near its start.
+// The gap between the two thresholds is the hysteresis that keeps sensor noise
+// at a turning point from counting twice. RepReconciler pairs its reps with
+// the device's, flags reps only one side saw, and hands over reps that were
+// never notified so the app can count them itself.
+
+// Thresholds as fractions of the learned range (minRepPos to maxRepPos)
+const REP_DETECT_TOP_FRACTION = 0.8;
+const REP_DETECT_BOTTOM_FRACTION = 0.2;
+
+// A cable needs this much learned range to be tracked
+const REP_DETECT_MIN_RANGE = 50;
+
+// Counter jumps larger than this are a restarted counter, not missed reps
+const REP_COUNTER_MAX_GAP = 5;
+
+// How long a rep seen by one side waits for the other before it is a disagreement
+const REP_MATCH_GRACE_MS = 2000;
+
+class PositionRepDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.phase = null; // "up" above the top threshold, "down" below the bottom one
+  }
+
+  // Position within the learned range (0 = bottom, 1 = top), averaged over the
+  // cables that have a range, or null before one has been learned.
+  // `range` is { minA, maxA, minB, maxB }.
+  normalize(sample, range) {
+    const cables = [
+      [sample.posA, range.minA, range.maxA],
+      [sample.posB, range.minB, range.maxB],
+    ].filter(
+      ([, min, max]) =>
+        min !== null && max !== null && max - min > REP_DETECT_MIN_RANGE,
+    );
+    if (cables.length === 0) {
+      return null;
+    }
+    return (
+      cables.reduce(
+        (sum, [pos, min, max]) => sum + (pos - min) / (max - min),
+        0,
+      ) / cables.length
+    );
+  }
+
+  isReady(range) {
+    return this.normalize({ posA: 0, posB: 0 }, range) !== null;
+  }
+
+  // Feed a monitor sample; returns "top", "bottom" or null
+  update(sample, range) {
+    const position = this.normalize(sample, range);
+    if (position === null) {
+      return null;
+    }
+
+    if (this.phase === null) {
+      // Wait for a clear side before tracking the first turning point
+      if (position >= REP_DETECT_TOP_FRACTION) {
+        this.phase = "up";
+      } else if (position <= REP_DETECT_BOTTOM_FRACTION) {
+        this.phase = "down";
+      }
+      return null;
+    }
+    if (this.phase === "down" && position >= REP_DETECT_TOP_FRACTION) {
+      this.phase = "up";
+      return "top";
+    }
+    if (this.phase === "up" && position <= REP_DETECT_BOTTOM_FRACTION) {
+      this.phase = "down";
+      return "bottom";
+    }
+    return null;
+  }
+}
+
+// Pairs completed reps from the device counters with those from the detector
+class RepReconciler {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.pendingDetector = []; // Times of detector reps with no notification yet
+    this.pendingDevice = []; // Times of notified reps the detector has not seen
+    this.credit = 0; // Reps counted from positions that the counters still owe
+    this.takenOver = false; // Counting from positions since notifications stopped
+  }
+
+  // `count` reps reported by the device counters. Returns how many the app
+  // should count now: reps it already counted from positions are skipped.
+  deviceReps(count, detectorReady, now = Date.now()) {
+    const covered = Math.min(this.credit, count);
+    this.credit -= covered;
+    for (let i = covered; i < count; i++) {
+      if (this.pendingDetector.length > 0) {
+        this.pendingDetector.shift();
+      } else if (detectorReady) {
+        this.pendingDevice.push(now);
+      }
+    }
+    this.takenOver = false;
+    return count - covered;
+  }
+
+  detectorRep(now = Date.now()) {
+    if (this.pendingDevice.length > 0) {
+      this.pendingDevice.shift();
+    } else {
+      this.pendingDetector.push(now);
+    }
+  }
+
+  // Settle reps that waited past the grace period:
+  // { missedByDetector, notNotified }. The app counts `notNotified` itself;
+  // they are credited against the counters in case the notification was late.
+  expire(now = Date.now()) {
+    const expired = (times) =>
+      times.filter((t) => now - t >= REP_MATCH_GRACE_MS).length;
+    const missedByDetector = expired(this.pendingDevice);
+    const notNotified = expired(this.pendingDetector);
+    this.pendingDevice.splice(0, missedByDetector);
+    this.pendingDetector.splice(0, notNotified);
+    this.credit += notNotified;
+    if (notNotified > 0) {
+      this.takenOver = true;
+    }
+    return { missedByDetector, notNotified };
+  }
+}
@@ -0,0 +1,119 @@
+// session.js - Replay of captured BLE sessions
+//
+// Sessions are recorded by VitruvianDevice.startCapture()/stopCapture(). The
+// replayer feeds the recorded reads and notifications back through the
+// device's dispatch methods, so every listener (rep counting, chart, history)
+// sees the same data in the same order as during the original session.
+
+class SessionReplayer {
+  constructor(device) {
+    this.device = device;
+    this.session = null;
+    this.timers = [];
+    this.active = false;
+    this.speed = 1;
+    this.onWrite = null; // Callback (event) for recorded outgoing frames
+    this.onNote = null; // Callback (name, payload) for recorded app notes
+    this.onComplete = null; // Callback when the last event has been replayed
+  }
+
+  // Validate and store a session object (as produced by stopCapture)
+  load(session) {
+    if (
+      !session ||
+      session.format !== "vitruvian-session" ||
+      !Array.isArray(session.events)
+    ) {
+      throw new Error("Not a Vitruvian session file");
+    }
+    if (session.version !== 1) {
+      throw new Error(`Unsupported session version: ${session.version}`);
+    }
+    this.session = session;
+  }
+
+  // Replay all events with their original spacing divided by speed
+  start(speed = 1) {
+    if (!this.session) {
+      throw new Error("No session loaded");
+    }
+    this.stop();
+
+    this.speed = speed > 0 ? speed : 1;
+    this.active = true;
+
+    const events = this.session.events;
+    this.device.log(
+      `Replaying session from ${this.session.startedAt} (${events.length} events, ${this.speed}x)`,
+      "info",
+    );
+
+    events.forEach((event, index) => {
+      const timer = setTimeout(() => {
+        this.replayEvent(event);
+        if (index === events.length - 1) {
+          this.finish();
+        }
+      }, event.t / this.speed);
+      this.timers.push(timer);
+    });
+
+    if (events.length === 0) {
+      this.finish();
+    }
+  }
+
+  // Cancel any pending events
+  stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers = [];
+    this.active = false;
+  }
+
+  finish() {
+    this.timers = [];
+    this.active = false;
+    this.device.log("Session replay finished", "success");
+    if (this.onComplete) {
+      this.onComplete();
+    }
+  }
+
+  // Route one recorded event through the same path live data takes
+  replayEvent(event) {
+    const bytes = event.data ? hexToBytes(event.data) : null;
+
+    switch (event.type) {
+      case "monitor":
+        this.device.dispatchMonitor(this.device.parseMonitorData(bytes));
+        break;
+
+      case "property":
+        this.device.dispatchProperty(this.device.parsePropertyData(bytes));
+        break;
+
+      case "notify":
+        this.device.handleNotification(event.uuid, bytes);
+        break;
+
+      case "write":
+        this.device.log(
+          `[replay] -> ${event.label} (${bytes.length} bytes): ${describeFrame(bytes)}`,
+          "info",
+          { kind: "frame", bytes },
+        );
+        if (this.onWrite) {
+          this.onWrite(event, bytes);
+        }
+        break;
+
+      case "note":
+        if (this.onNote) {
+          this.onNote(event.name, event.payload);
+        }
+        break;
+    }
+  }
+}
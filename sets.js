@@ -0,0 +1,314 @@
+// sets.js - Drop, rest-pause, cluster and rep-schedule sets that run as one history entry
+//
+// A segmented set is a list of segments, each with its own weight, rep target
+// and optional rest before it, sent to the trainer as successive program
+// frames. The trainer would end a regular program on its own after reps + 3,
+// so segment frames use Just Lift and the app sends STOP after the last one.
+// Segments with a rest are preceded by a STOP so the load is released while
+// the lifter recovers.
+
+const SetType = {
+  STRAIGHT: "straight",
+  DROP: "drop",
+  REST_PAUSE: "restPause",
+  CLUSTER: "cluster",
+  SCHEDULE: "schedule",
+};
+
+const SetTypeNames = {
+  [SetType.STRAIGHT]: "Straight Set",
+  [SetType.DROP]: "Drop Set",
+  [SetType.REST_PAUSE]: "Rest-Pause",
+  [SetType.CLUSTER]: "Cluster Set",
+  [SetType.SCHEDULE]: "Rep Schedule",
+};
+
+// Why a segment ended
+const SegmentEnd = {
+  TARGET: "target", // Reached its rep target
+  FAILURE: "failure", // No rep completed within the failure timeout
+  STOPPED: "stopped", // Set stopped by the user or auto-stop
+};
+
+const DROP_SET_DEFAULTS = {
+  drops: 2,
+  dropPercent: 20, // Weight removed per drop, relative to the previous segment
+  dropReps: 6, // Rep target for each drop; 0 means "to failure"
+  dropAtFailure: true, // Also drop early when the lifter stalls
+  failureTimeoutSec: 4,
+};
+
+const REST_PAUSE_DEFAULTS = {
+  pauses: 3, // Mini-sets after the first one
+  pauseReps: 0, // Rep target for each later mini-set; 0 means "to failure"
+  restSec: 15,
+  failureTimeoutSec: 4,
+};
+
+const CLUSTER_SET_DEFAULTS = {
+  clusters: 4,
+  restSec: 15,
+};
+
+// Shapes for per-rep weight schedules; the set weight is the heaviest rep (100%)
+const RepSchedulePreset = {
+  ASCENDING: "ascending",
+  PYRAMID: "pyramid",
+  BACK_OFF: "backOff", // Heavy first rep, then the rest lighter
+};
+
+// Round to the 0.5 kg steps the weight inputs use
+function roundSegmentKg(kg) {
+  return Math.max(0.5, Math.round(kg * 2) / 2);
+}
+
+// Segments for a drop set: the top set followed by `drops` lighter segments
+function planDropSet(perCableKg, reps, options = {}) {
+  const config = { ...DROP_SET_DEFAULTS, ...options };
+  const segments = [
+    {
+      label: "Top set",
+      perCableKg,
+      targetReps: reps,
+      endOnFailure: config.dropAtFailure,
+      restBeforeSec: 0,
+    },
+  ];
+  let kg = perCableKg;
+  for (let i = 1; i <= config.drops; i++) {
+    kg = roundSegmentKg(kg * (1 - config.dropPercent / 100));
+    segments.push({
+      label: `Drop ${i}`,
+      perCableKg: kg,
+      targetReps: config.dropReps,
+      endOnFailure: config.dropAtFailure || config.dropReps === 0,
+      restBeforeSec: 0,
+    });
+  }
+  return segments;
+}
+
+// Segments for rest-pause: a first mini-set of `reps`, then `pauses` more at
+// the same weight after a short rest, each ending at its target or failure
+function planRestPause(perCableKg, reps, options = {}) {
+  const config = { ...REST_PAUSE_DEFAULTS, ...options };
+  const segments = [];
+  for (let i = 0; i <= config.pauses; i++) {
+    segments.push({
+      label: `Mini-set ${i + 1}`,
+      perCableKg,
+      targetReps: i === 0 ? reps : config.pauseReps,
+      endOnFailure: true,
+      restBeforeSec: i === 0 ? 0 : config.restSec,
+    });
+  }
+  return segments;
+}
+
+// Segments for a cluster set: `clusters` mini-sets of `reps` with a short rest between
+function planClusterSet(perCableKg, reps, options = {}) {
+  const config = { ...CLUSTER_SET_DEFAULTS, ...options };
+  const segments = [];
+  for (let i = 0; i < config.clusters; i++) {
+    segments.push({
+      label: `Cluster ${i + 1}`,
+      perCableKg,
+      targetReps: reps,
+      endOnFailure: false,
+      restBeforeSec: i === 0 ? 0 : config.restSec,
+    });
+  }
+  return segments;
+}
+
+// Percent of the set weight for each of `reps` reps
+function buildRepSchedule(preset, reps, stepPercent = 5) {
+  const percents = [];
+  for (let i = 0; i < reps; i++) {
+    let stepsDown;
+    switch (preset) {
+      case RepSchedulePreset.ASCENDING:
+        stepsDown = reps - 1 - i;
+        break;
+      case RepSchedulePreset.PYRAMID:
+        stepsDown = Math.floor(Math.abs(i - (reps - 1) / 2));
+        break;
+      case RepSchedulePreset.BACK_OFF:
+        stepsDown = i === 0 ? 0 : 1;
+        break;
+      default:
+        throw new Error(`Unknown rep schedule ${preset}`);
+    }
+    percents.push(Math.max(0, 100 - stepsDown * stepPercent));
+  }
+  return percents;
+}
+
+function formatRepSchedule(percents) {
+  return percents.join(", ");
+}
+
+// Parse "90, 95, 100" into percents; throws on anything else
+function parseRepSchedule(text) {
+  const parts = String(text || "")
+    .split(/[\s,]+/)
+    .filter((part) => part !== "");
+  const percents = parts.map(Number);
+  if (
+    percents.length === 0 ||
+    percents.some((pct) => !isFinite(pct) || pct <= 0 || pct > 200)
+  ) {
+    throw new Error(
+      "Rep schedule must list percentages of the set weight (1-200), e.g. 90, 95, 100",
+    );
+  }
+  return percents;
+}
+
+// Segments for a rep schedule: one per run of reps at the same weight. The
+// last percentage repeats if the schedule is shorter than `reps`.
+function planRepSchedule(perCableKg, reps, options = {}) {
+  const percents = options.percents || [100];
+  const segments = [];
+  for (let rep = 1; rep <= reps; rep++) {
+    const pct = percents[Math.min(rep, percents.length) - 1];
+    const kg = roundSegmentKg((perCableKg * pct) / 100);
+    const last = segments[segments.length - 1];
+    if (last && last.perCableKg === kg) {
+      last.targetReps++;
+      last.label = `Reps ${rep - last.targetReps + 1}-${rep}`;
+    } else {
+      segments.push({
+        label: `Rep ${rep}`,
+        perCableKg: kg,
+        targetReps: 1,
+        endOnFailure: false,
+        restBeforeSec: 0,
+      });
+    }
+  }
+  return segments;
+}
+
+// Segments for a set type (see SetType); `options` come from that type's form
+function planSegmentedSet(type, perCableKg, reps, options = {}) {
+  switch (type) {
+    case SetType.DROP:
+      return planDropSet(perCableKg, reps, options);
+    case SetType.REST_PAUSE:
+      return planRestPause(perCableKg, reps, options);
+    case SetType.CLUSTER:
+      return planClusterSet(perCableKg, reps, options);
+    case SetType.SCHEDULE:
+      return planRepSchedule(perCableKg, reps, options);
+  }
+  throw new Error(`Unknown set type ${type}`);
+}
+
+// Tracks progress through the segments of one set
+class SegmentedSet {
+  constructor(type, segments, options = {}) {
+    this.type = type;
+    this.segments = segments.map((segment) => ({
+      ...segment,
+      reps: 0,
+      endedBy: null,
+    }));
+    this.index = 0;
+    this.failureTimeoutMs = (options.failureTimeoutSec ?? 4) * 1000;
+    this.lastRepAt = null; // Set once working reps start
+    this.resting = false; // Between segments with the load released
+    this.done = false; // Last segment ended; waiting for the set to stop
+  }
+
+  current() {
+    return this.segments[this.index];
+  }
+
+  isLast() {
+    return this.index === this.segments.length - 1;
+  }
+
+  // Working reps completed before the current segment
+  repsBefore() {
+    return this.segments
+      .slice(0, this.index)
+      .reduce((sum, segment) => sum + segment.reps, 0);
+  }
+
+  totalReps() {
+    return this.repsBefore() + this.current().reps;
+  }
+
+  // Count a working rep; true when the current segment reached its target
+  recordRep(now = Date.now()) {
+    const segment = this.current();
+    segment.reps++;
+    this.lastRepAt = now;
+    return (
+      !this.done &&
+      !this.resting &&
+      segment.targetReps > 0 &&
+      segment.reps >= segment.targetReps
+    );
+  }
+
+  // True when the lifter has stalled in a segment that ends on failure
+  checkFailure(now = Date.now()) {
+    const segment = this.current();
+    return (
+      !this.done &&
+      !this.resting &&
+      segment.endOnFailure &&
+      this.lastRepAt !== null &&
+      now - this.lastRepAt >= this.failureTimeoutMs
+    );
+  }
+
+  // Close the current segment and move to the next; returns it (null at the end)
+  advance(reason, now = Date.now()) {
+    this.current().endedBy = reason;
+    if (this.isLast()) {
+      this.done = true;
+      return null;
+    }
+    this.index++;
+    this.lastRepAt = now; // Failure timing restarts with the new segment
+    return this.current();
+  }
+
+  beginRest() {
+    this.resting = true;
+  }
+
+  // The trainer ramps in again after a rest, so failure timing waits for
+  // the segment's first working rep
+  endRest() {
+    this.resting = false;
+    this.lastRepAt = null;
+  }
+
+  // Close the current segment without moving on (set finished)
+  finish(reason) {
+    if (!this.current().endedBy) {
+      this.current().endedBy = reason;
+    }
+  }
+
+  // Per-segment summary for history:
+  // [{ label, perCableKg, targetReps, restBeforeSec, reps, endedBy }]
+  breakdown() {
+    return this.segments
+      .filter((segment, i) => i <= this.index)
+      .map(
+        ({ label, perCableKg, targetReps, restBeforeSec, reps, endedBy }) => ({
+          label,
+          perCableKg,
+          targetReps,
+          restBeforeSec,
+          reps,
+          endedBy,
+        }),
+      );
+  }
+}
@@ -0,0 +1,641 @@
+// simulator.js - Simulated Vitruvian trainer that stands in for navigator.bluetooth
+//
+// SimulatedBluetooth implements the small slice of the Web Bluetooth API that
+// WebBluetoothTransport uses (requestDevice -> gatt.connect -> getPrimaryService ->
+// getCharacteristics -> readValue / writeValue* / startNotifications), so the
+// real device, protocol and app code run unchanged against a virtual trainer.
+
+const SIM_DEVICE_NAME = "Vee Simulator";
+
+// Device Information strings reported by the simulated trainer
+const SIM_DEVICE_INFO = {
+  manufacturer: "Vitruvian (simulated)",
+  model: "V-Form Trainer+",
+  serial: "SIM-0001",
+  hardware: "1.0",
+  firmware: "1.0.0-sim",
+  software: null,
+};
+const SIM_TICKS_PER_SECOND = 100; // Simulated tick counter rate
+const SIM_STEP_MS = 20; // Physics update interval
+const SIM_JUST_LIFT_REPS = 8; // Reps the virtual lifter does before resting in Just Lift
+const SIM_WARMUP_REPS = 3; // Programs always start with 3 warmup reps
+const SIM_FATIGUE_PER_REP = 0.08; // Concentric slows by this fraction per working rep
+
+// Rep timing per program mode (seconds)
+const SIM_MODE_TEMPO = {
+  [ProgramMode.OLD_SCHOOL]: { concentric: 1.2, eccentric: 1.8, pause: 0.5 },
+  [ProgramMode.PUMP]: { concentric: 0.6, eccentric: 0.7, pause: 0.1 },
+  [ProgramMode.TUT]: { concentric: 2.5, eccentric: 2.5, pause: 0.3 },
+  [ProgramMode.TUT_BEAST]: { concentric: 3.0, eccentric: 3.0, pause: 0.3 },
+  [ProgramMode.ECCENTRIC_ONLY]: { concentric: 1.0, eccentric: 3.5, pause: 0.5 },
+};
+
+const SIM_ECHO_TEMPO = { concentric: 1.0, eccentric: 1.5, pause: 0.4 };
+
+// Load multipliers per program mode for each phase of the rep
+const SIM_MODE_LOAD = {
+  [ProgramMode.OLD_SCHOOL]: { concentric: 1.0, eccentric: 1.0 },
+  [ProgramMode.PUMP]: { concentric: 1.0, eccentric: 0.9 },
+  [ProgramMode.TUT]: { concentric: 1.0, eccentric: 1.0 },
+  [ProgramMode.TUT_BEAST]: { concentric: 1.0, eccentric: 1.1 },
+  [ProgramMode.ECCENTRIC_ONLY]: { concentric: 0.2, eccentric: 1.0 },
+};
+
+// Physical model of the trainer and the person using it
+class VitruvianSimulator {
+  constructor() {
+    this.onNotify = null; // Callback (uuid, bytes) for notifications
+    this.startTime = Date.now();
+    this.lastStep = this.startTime;
+    this.stepInterval = null;
+    this.brightness = 0.4;
+    this.colors = [];
+
+    // Cable geometry (positions in device units)
+    this.restPos = 20;
+    this.bottomPosA = 90;
+    this.bottomPosB = 85;
+    this.topPosA = 720;
+    this.topPosB = 700;
+
+    this.posA = this.restPos;
+    this.posB = this.restPos;
+    this.loadA = 0;
+    this.loadB = 0;
+
+    this.topCounter = 0;
+    this.completeCounter = 0;
+    this.droppedRepNotifications = 0; // Rep notifications left to swallow
+
+    this.resetWorkout();
+  }
+
+  resetWorkout() {
+    this.workout = null; // Active program/echo description
+    this.phase = "idle"; // idle | pause | concentric | eccentric | resting
+    this.phaseElapsed = 0;
+    this.repsCompleted = 0;
+  }
+
+  // Start advancing the model in real time
+  start() {
+    if (this.stepInterval) {
+      return;
+    }
+    this.lastStep = Date.now();
+    this.stepInterval = setInterval(() => this.step(), SIM_STEP_MS);
+  }
+
+  // Stop advancing the model
+  stop() {
+    if (this.stepInterval) {
+      clearInterval(this.stepInterval);
+      this.stepInterval = null;
+    }
+  }
+
+  // Interpret a frame written to the NUS RX characteristic
+  handleWrite(bytes) {
+    if (bytes.length < 4) {
+      return;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const command = view.getUint32(0, true);
+
+    switch (command) {
+      case 0x0a:
+        // Init and stop share the same frame
+        this.resetWorkout();
+        break;
+
+      case 0x04:
+        if (bytes.length >= 96) {
+          this.beginProgram(bytes, view);
+        }
+        break;
+
+      case 0x4e:
+        if (bytes.length >= 32) {
+          this.beginEcho(bytes, view);
+        }
+        break;
+
+      case 0x11:
+        // INIT preset and color scheme share the same layout
+        if (bytes.length >= 34) {
+          this.brightness = view.getFloat32(12, true);
+          this.colors = [];
+          for (let offset = 16; offset < 25; offset += 3) {
+            this.colors.push({
+              r: bytes[offset],
+              g: bytes[offset + 1],
+              b: bytes[offset + 2],
+            });
+          }
+        }
+        break;
+    }
+  }
+
+  beginProgram(bytes, view) {
+    // Custom profiles move like the built-in mode they were derived from
+    const mode = getBaseProgramMode(
+      identifyModeProfile(bytes.subarray(0x30, 0x50)) ?? ProgramMode.OLD_SCHOOL,
+    );
+    const isJustLift = bytes[0x04] === 0xff;
+    // A program frame during a program set changes the load in place (drop sets)
+    const midSet =
+      this.workout && this.workout.kind === "program" && this.phase !== "idle";
+
+    this.workout = {
+      kind: "program",
+      mode: mode,
+      isJustLift: isJustLift,
+      warmupReps: midSet ? 0 : SIM_WARMUP_REPS,
+      totalReps: isJustLift ? null : bytes[0x04],
+      perCableKg: view.getFloat32(0x58, true),
+      progressionKg: view.getFloat32(0x5c, true),
+      tempo: SIM_MODE_TEMPO[mode] || SIM_MODE_TEMPO[ProgramMode.OLD_SCHOOL],
+      loadShape: SIM_MODE_LOAD[mode] || SIM_MODE_LOAD[ProgramMode.OLD_SCHOOL],
+    };
+    if (midSet) {
+      this.repsCompleted = 0;
+      if (this.phase === "resting") {
+        this.phase = "pause";
+        this.phaseElapsed = 0;
+      }
+    } else {
+      this.beginSet();
+    }
+  }
+
+  beginEcho(bytes, view) {
+    const warmupReps = bytes[0x04];
+    const isJustLift = bytes[0x05] === 0xff;
+
+    this.workout = {
+      kind: "echo",
+      isJustLift: isJustLift,
+      warmupReps: warmupReps,
+      totalReps: isJustLift ? null : warmupReps + bytes[0x05],
+      eccentricPct: view.getUint16(0x08, true),
+      gain: view.getFloat32(0x10, true),
+      cap: view.getFloat32(0x14, true),
+      tempo: SIM_ECHO_TEMPO,
+    };
+    this.beginSet();
+  }
+
+  beginSet() {
+    this.phase = "pause";
+    this.phaseElapsed = 0;
+    this.repsCompleted = 0;
+  }
+
+  // Advance the model by the real time elapsed since the previous step
+  step() {
+    const now = Date.now();
+    const dt = (now - this.lastStep) / 1000;
+    this.lastStep = now;
+    this.advance(dt);
+  }
+
+  advance(dt) {
+    if (!this.workout || this.phase === "idle") {
+      this.settle(dt);
+      return;
+    }
+
+    const tempo = this.workout.tempo;
+    this.phaseElapsed += dt;
+
+    switch (this.phase) {
+      case "pause":
+        if (this.phaseElapsed >= tempo.pause) {
+          this.phase = "concentric";
+          this.phaseElapsed = 0;
+        }
+        break;
+
+      case "concentric":
+        if (this.phaseElapsed >= this.concentricSeconds()) {
+          this.phase = "eccentric";
+          this.phaseElapsed = 0;
+          this.topCounter = (this.topCounter + 1) & 0xffff;
+          this.sendRepNotification();
+        }
+        break;
+
+      case "eccentric":
+        if (this.phaseElapsed >= tempo.eccentric) {
+          this.phaseElapsed = 0;
+          this.completeCounter = (this.completeCounter + 1) & 0xffff;
+          this.repsCompleted++;
+          // Settle the next phase first: the app may send STOP from the notification
+          this.phase = this.nextPhaseAfterRep();
+          this.sendRepNotification();
+        }
+        break;
+
+      case "resting":
+        // Just Lift: the lifter holds the handles at the bottom until stopped
+        break;
+    }
+
+    if (this.workout) {
+      this.updateCables();
+    } else {
+      this.settle(dt);
+    }
+  }
+
+  // The virtual lifter slows down over the working reps, like a real one
+  concentricSeconds() {
+    const workout = this.workout;
+    const workingReps = Math.max(0, this.repsCompleted - workout.warmupReps);
+    return workout.tempo.concentric * (1 + SIM_FATIGUE_PER_REP * workingReps);
+  }
+
+  nextPhaseAfterRep() {
+    const workout = this.workout;
+    if (workout.isJustLift) {
+      return this.repsCompleted >= SIM_JUST_LIFT_REPS ? "resting" : "pause";
+    }
+    if (workout.totalReps !== null && this.repsCompleted >= workout.totalReps) {
+      // Set finished: the machine releases the load
+      this.workout = null;
+      return "idle";
+    }
+    return "pause";
+  }
+
+  // Ease the cables back to the rest position with no load
+  settle(dt) {
+    const rate = Math.min(1, dt * 3);
+    this.posA += (this.restPos - this.posA) * rate;
+    this.posB += (this.restPos - this.posB) * rate;
+    this.loadA = 0;
+    this.loadB = 0;
+  }
+
+  // Compute positions and loads for the current phase
+  updateCables() {
+    const tempo = this.workout.tempo;
+    let progress = 0; // 0 = bottom, 1 = top
+
+    if (this.phase === "concentric") {
+      progress = this.ease(this.phaseElapsed / this.concentricSeconds());
+    } else if (this.phase === "eccentric") {
+      progress = 1 - this.ease(this.phaseElapsed / tempo.eccentric);
+    }
+
+    // Cable B lags slightly behind cable A
+    const lag = 0.03;
+    const progressB = Math.max(0, Math.min(1, progress - lag));
+
+    this.posA =
+      this.bottomPosA +
+      (this.topPosA - this.bottomPosA) * progress +
+      this.noise(2);
+    this.posB =
+      this.bottomPosB +
+      (this.topPosB - this.bottomPosB) * progressB +
+      this.noise(2);
+
+    const load = this.targetLoad();
+    this.loadA = Math.max(0, load + this.noise(0.3));
+    this.loadB = Math.max(0, load * 0.98 + this.noise(0.3));
+  }
+
+  // Per-cable load the machine applies right now (kg)
+  targetLoad() {
+    const workout = this.workout;
+    const phase = this.phase === "eccentric" ? "eccentric" : "concentric";
+    const repIndex = this.repsCompleted;
+
+    // Resistance ramps up over the warmup reps
+    const warmupFactor =
+      repIndex < workout.warmupReps
+        ? (repIndex + 1) / (workout.warmupReps + 1)
+        : 1.0;
+
+    if (workout.kind === "echo") {
+      // Echo matches the lifter's effort, scaled by gain and limited by cap
+      const effort = 20 + 5 * Math.sin(repIndex);
+      const concentric = Math.min(workout.cap, effort * workout.gain);
+      const load =
+        phase === "eccentric"
+          ? (concentric * workout.eccentricPct) / 100
+          : concentric;
+      return load * warmupFactor;
+    }
+
+    const workingRep = Math.max(0, repIndex - workout.warmupReps);
+    const kg = Math.max(
+      0,
+      workout.perCableKg + workout.progressionKg * workingRep,
+    );
+    return kg * workout.loadShape[phase] * warmupFactor;
+  }
+
+  ease(t) {
+    const clamped = Math.max(0, Math.min(1, t));
+    return (1 - Math.cos(Math.PI * clamped)) / 2;
+  }
+
+  noise(amplitude) {
+    return (Math.random() * 2 - 1) * amplitude;
+  }
+
+  sendRepNotification() {
+    // The counters still advance, so the next notification carries the total
+    if (this.droppedRepNotifications > 0) {
+      this.droppedRepNotifications--;
+      return;
+    }
+    const payload = new Uint8Array(8);
+    const view = new DataView(payload.buffer);
+    view.setUint16(0, this.topCounter, true);
+    view.setUint16(4, this.completeCounter, true);
+    if (this.onNotify) {
+      this.onNotify(REP_NOTIFY_CHAR_UUID, payload);
+    }
+  }
+
+  // Build a monitor (0x0039) payload from the current state
+  readMonitor() {
+    const payload = new Uint8Array(16);
+    const view = new DataView(payload.buffer);
+    const ticks = Math.floor(
+      ((Date.now() - this.startTime) / 1000) * SIM_TICKS_PER_SECOND,
+    );
+
+    view.setUint16(0, ticks & 0xffff, true);
+    view.setUint16(2, (ticks >>> 16) & 0xffff, true);
+    view.setUint16(4, Math.max(0, Math.round(this.posA)), true);
+    view.setUint16(8, Math.round(this.loadA * 100), true);
+    view.setUint16(10, Math.max(0, Math.round(this.posB)), true);
+    view.setUint16(14, Math.round(this.loadB * 100), true);
+
+    return payload;
+  }
+
+  // Build a property (0x003f) payload. The real layout is undecoded, so this
+  // only mirrors a few pieces of simulator state.
+  readProperty() {
+    const payload = new Uint8Array(16);
+    const view = new DataView(payload.buffer);
+    const phases = ["idle", "pause", "concentric", "eccentric", "resting"];
+
+    view.setUint16(0, phases.indexOf(this.phase), true);
+    view.setUint16(2, this.workout ? (this.workout.mode ?? 0xff) : 0xff, true);
+    view.setUint16(4, this.repsCompleted, true);
+    view.setUint16(6, this.completeCounter, true);
+
+    return payload;
+  }
+}
+
+// Fake GATT characteristic backed by the simulator
+class SimulatedCharacteristic {
+  constructor(uuid, simulator, staticValue = null) {
+    this.uuid = uuid;
+    this.simulator = simulator;
+    this.staticValue = staticValue; // Fixed bytes returned by readValue()
+    this.value = null;
+    this.notifying = false;
+    this.listeners = [];
+  }
+
+  async readValue() {
+    let bytes;
+    if (this.staticValue) {
+      bytes = new Uint8Array(this.staticValue);
+    } else if (this.uuid === MONITOR_CHAR_UUID) {
+      bytes = this.simulator.readMonitor();
+    } else if (this.uuid === PROPERTY_CHAR_UUID) {
+      bytes = this.simulator.readProperty();
+    } else {
+      bytes = new Uint8Array(0);
+    }
+    this.value = new DataView(bytes.buffer);
+    return this.value;
+  }
+
+  async writeValueWithResponse(payload) {
+    this.simulator.handleWrite(new Uint8Array(payload));
+  }
+
+  async writeValueWithoutResponse(payload) {
+    this.simulator.handleWrite(new Uint8Array(payload));
+  }
+
+  async startNotifications() {
+    this.notifying = true;
+    return this;
+  }
+
+  async stopNotifications() {
+    this.notifying = false;
+    return this;
+  }
+
+  addEventListener(type, listener) {
+    if (type === "characteristicvaluechanged") {
+      this.listeners.push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter((l) => l !== listener);
+  }
+
+  // Deliver a notification the way Web Bluetooth does
+  notify(bytes) {
+    if (!this.notifying) {
+      return;
+    }
+    this.value = new DataView(new Uint8Array(bytes).buffer);
+    const event = { target: this };
+    for (const listener of this.listeners) {
+      listener(event);
+    }
+  }
+}
+
+// Fake NUS primary service
+class SimulatedService {
+  constructor(uuid, characteristics) {
+    this.uuid = uuid;
+    this.characteristics = characteristics;
+  }
+
+  async getCharacteristics() {
+    return this.characteristics;
+  }
+
+  async getCharacteristic(uuid) {
+    const char = this.characteristics.find(
+      (c) => c.uuid === uuid.toLowerCase(),
+    );
+    if (!char) {
+      throw new Error(`Characteristic ${uuid} not found`);
+    }
+    return char;
+  }
+}
+
+// Fake GATT server
+class SimulatedGattServer {
+  constructor(device) {
+    this.device = device;
+    this.connected = false;
+    this.failConnects = 0; // Number of upcoming connect() calls that should fail
+  }
+
+  async connect() {
+    if (this.failConnects > 0) {
+      this.failConnects--;
+      throw new Error("Simulated connection failure");
+    }
+    this.connected = true;
+    this.device.simulator.start();
+    return this;
+  }
+
+  disconnect() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    this.device.simulator.stop();
+    this.device.dispatchEvent("gattserverdisconnected");
+  }
+
+  // Drop the link while the trainer keeps running, like a radio dropout
+  simulateDropout() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    this.device.dispatchEvent("gattserverdisconnected");
+  }
+
+  async getPrimaryService(uuid) {
+    if (!this.connected) {
+      throw new Error("GATT Server is disconnected");
+    }
+    const service = this.device.services.find(
+      (s) => s.uuid === uuid.toLowerCase(),
+    );
+    if (!service) {
+      throw new Error(`Service ${uuid} not found`);
+    }
+    return service;
+  }
+}
+
+// Fake BluetoothDevice wrapping one simulator instance
+class SimulatedBluetoothDevice {
+  constructor(simulator) {
+    this.id = "simulated-vitruvian";
+    this.name = SIM_DEVICE_NAME;
+    this.simulator = simulator;
+    this.listeners = {};
+    this.gatt = new SimulatedGattServer(this);
+
+    const uuids = [
+      NUS_RX_CHAR_UUID,
+      MONITOR_CHAR_UUID,
+      PROPERTY_CHAR_UUID,
+      ...NOTIFY_CHAR_UUIDS,
+    ];
+    const characteristics = uuids.map(
+      (uuid) => new SimulatedCharacteristic(uuid.toLowerCase(), simulator),
+    );
+    const encoder = new TextEncoder();
+    const infoCharacteristics = Object.entries(DEVICE_INFO_CHARS)
+      .filter(([field]) => SIM_DEVICE_INFO[field] !== null)
+      .map(
+        ([field, uuid]) =>
+          new SimulatedCharacteristic(
+            uuid,
+            simulator,
+            encoder.encode(SIM_DEVICE_INFO[field]),
+          ),
+      );
+
+    this.services = [
+      new SimulatedService(NUS_SERVICE_UUID, characteristics),
+      new SimulatedService(DEVICE_INFO_SERVICE_UUID, infoCharacteristics),
+    ];
+
+    simulator.onNotify = (uuid, bytes) => {
+      const char = characteristics.find((c) => c.uuid === uuid.toLowerCase());
+      if (char) {
+        char.notify(bytes);
+      }
+    };
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter((l) => l !== listener);
+    }
+  }
+
+  dispatchEvent(type) {
+    for (const listener of this.listeners[type] || []) {
+      listener({ type, target: this });
+    }
+  }
+}
+
+// Drop-in replacement for navigator.bluetooth
+class SimulatedBluetooth {
+  constructor() {
+    this.simulator = new VitruvianSimulator();
+    this.device = new SimulatedBluetoothDevice(this.simulator);
+  }
+
+  async getAvailability() {
+    return true;
+  }
+
+  // Simulate a BLE dropout; failedAttempts reconnects fail before one succeeds
+  simulateDropout(failedAttempts = 0) {
+    this.device.gatt.failConnects = failedAttempts;
+    this.device.gatt.simulateDropout();
+  }
+
+  // Lose the next `count` rep notifications, like a flaky link
+  simulateRepNotificationLoss(count = 1) {
+    this.simulator.droppedRepNotifications = count;
+  }
+
+  // The simulated trainer always counts as paired
+  async getDevices() {
+    return [this.device];
+  }
+
+  async requestDevice(options = {}) {
+    const filters = options.filters || [];
+    const matches =
+      filters.length === 0 ||
+      filters.some(
+        (f) =>
+          (!f.namePrefix || this.device.name.startsWith(f.namePrefix)) &&
+          (!f.name || this.device.name === f.name),
+      );
+    if (!matches) {
+      throw new Error("No simulated device matches the request filters");
+    }
+    return this.device;
+  }
+}
@@ -0,0 +1,241 @@
+// status.js - Device status panels: property characteristic (0x003f) and link health
+
+class DeviceStatusPanel {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.previous = null; // Previous parsed property payload
+    this.changeCounts = {}; // offset -> number of value changes seen
+    this.lastChangeAt = {}; // offset -> Date.now() of the last change
+    this.highlightMs = 1500; // How long a changed offset stays highlighted
+    this.labels = this.loadLabels(); // offset -> user-assigned field name
+    this.onLabelsChanged = null; // Callback (fieldDefinitions) when labels change
+  }
+
+  // Named field definitions derived from the user's offset labels
+  getFieldDefinitions() {
+    return Object.entries(this.labels).map(([offset, name]) => ({
+      name,
+      offset: parseInt(offset),
+      type: "u16",
+    }));
+  }
+
+  // Record a new property payload and redraw
+  update(property) {
+    const now = Date.now();
+
+    if (this.previous) {
+      const before = {};
+      for (const word of this.previous.words) {
+        before[word.offset] = word.value;
+      }
+      for (const word of property.words) {
+        if (
+          before[word.offset] !== undefined &&
+          before[word.offset] !== word.value
+        ) {
+          this.changeCounts[word.offset] =
+            (this.changeCounts[word.offset] || 0) + 1;
+          this.lastChangeAt[word.offset] = now;
+        }
+      }
+    }
+
+    this.previous = property;
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const property = this.previous;
+    if (!property) {
+      container.innerHTML = `
+        <div style="color: #6c757d; font-size: 0.9em; text-align: center; padding: 20px;">
+          No property data yet (polled every 0.5s during a set)
+        </div>
+      `;
+      return;
+    }
+
+    const now = Date.now();
+    const fieldNames = Object.keys(property.fields);
+    const fieldsHtml = fieldNames.length
+      ? fieldNames
+          .map(
+            (name) =>
+              `<div class="property-field"><span>${name}</span><strong>${property.fields[name]}</strong></div>`,
+          )
+          .join("")
+      : `<div style="color: #6c757d; font-size: 0.85em;">No named fields yet. Click an offset below to name it.</div>`;
+
+    const cellsHtml = property.words
+      .map((word) => {
+        const changed =
+          this.lastChangeAt[word.offset] !== undefined &&
+          now - this.lastChangeAt[word.offset] < this.highlightMs;
+        const label = this.labels[word.offset];
+        const classes = ["property-cell"];
+        if (changed) classes.push("changed");
+        if (label) classes.push("labeled");
+        const offsetHex = `0x${word.offset.toString(16).padStart(2, "0")}`;
+        const valueHex = word.value.toString(16).padStart(4, "0");
+        return `
+          <div class="${classes.join(" ")}" onclick="app.statusPanel.labelOffset(${word.offset})" title="Click to name this offset">
+            <div class="property-offset">${offsetHex}${label ? ` · ${label}` : ""}</div>
+            <div class="property-value">${word.value}</div>
+            <div class="property-meta">0x${valueHex} · ${this.changeCounts[word.offset] || 0} changes</div>
+          </div>`;
+      })
+      .join("");
+
+    container.innerHTML = `
+      <div class="property-header">
+        Last update ${property.timestamp.toLocaleTimeString()} • ${property.raw.length} bytes
+        <button class="secondary" onclick="app.statusPanel.resetChanges()">Reset changes</button>
+      </div>
+      <div class="property-fields">${fieldsHtml}</div>
+      <div class="property-grid">${cellsHtml}</div>
+    `;
+  }
+
+  // Ask for a name for a u16 offset (empty name removes the label)
+  labelOffset(offset) {
+    const current = this.labels[offset] || "";
+    const name = prompt(
+      `Name for property offset 0x${offset.toString(16).padStart(2, "0")} (u16, leave empty to clear):`,
+      current,
+    );
+    if (name === null) {
+      return;
+    }
+
+    const trimmed = name.trim();
+    if (trimmed) {
+      this.labels[offset] = trimmed;
+    } else {
+      delete this.labels[offset];
+    }
+
+    this.saveLabels();
+    if (this.onLabelsChanged) {
+      this.onLabelsChanged(this.getFieldDefinitions());
+    }
+    this.render();
+  }
+
+  resetChanges() {
+    this.changeCounts = {};
+    this.lastChangeAt = {};
+    this.render();
+  }
+
+  loadLabels() {
+    try {
+      const raw = localStorage.getItem("vitruvian.propertyLabels");
+      return raw ? JSON.parse(raw) : {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveLabels() {
+    try {
+      localStorage.setItem(
+        "vitruvian.propertyLabels",
+        JSON.stringify(this.labels),
+      );
+    } catch {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+}
+
+// Rate a LinkHealth snapshot as "good", "fair" or "poor"
+function assessLinkHealth(health) {
+  if (!health || health.reads === 0) {
+    return health && health.failedReads > 0 ? "poor" : "unknown";
+  }
+  const ratio = health.rateRatio ?? 1;
+  if (ratio < 0.7 || health.failureRate > 0.1 || health.gaps > 5) {
+    return "poor";
+  }
+  if (ratio < 0.9 || health.failedReads > 0 || health.gaps > 0) {
+    return "fair";
+  }
+  return "good";
+}
+
+// One-line summary of a LinkHealth snapshot (used in the history list)
+function formatLinkHealthSummary(health) {
+  const rate =
+    health.sampleRateHz !== null ? health.sampleRateHz.toFixed(1) : "-";
+  const rtt =
+    health.avgRoundTripMs !== null ? Math.round(health.avgRoundTripMs) : "-";
+  return `${rate}/${health.targetRateHz} Hz • ${rtt} ms RTT • ${health.gaps} gaps • ${health.failedReads} failed reads`;
+}
+
+class LinkHealthPanel {
+  constructor(containerId) {
+    this.containerId = containerId;
+  }
+
+  render(health, active) {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    if (!active || !health || health.reads + health.failedReads === 0) {
+      container.innerHTML = `
+        <div style="color: #6c757d; font-size: 0.9em; text-align: center; padding: 20px;">
+          Link metrics appear while a set is running
+        </div>
+      `;
+      return;
+    }
+
+    const quality = assessLinkHealth(health);
+    const rate =
+      health.sampleRateHz !== null ? health.sampleRateHz.toFixed(1) : "-";
+    const ratio =
+      health.rateRatio !== null
+        ? `${Math.round(health.rateRatio * 100)}%`
+        : "-";
+    const avgRtt =
+      health.avgRoundTripMs !== null
+        ? `${Math.round(health.avgRoundTripMs)} ms`
+        : "-";
+    const maxRtt =
+      health.maxRoundTripMs !== null ? `${health.maxRoundTripMs} ms` : "-";
+
+    const metrics = [
+      ["Sample rate", `${rate} Hz`, `${ratio} of ${health.targetRateHz} Hz`],
+      ["Round trip", avgRtt, `max ${maxRtt}`],
+      ["Gaps", health.gaps, `${health.missedTicks} ticks missed`],
+      ["Queue depth", health.queueDepth, `max ${health.maxQueueDepth}`],
+      [
+        "Failed reads",
+        health.failedReads,
+        `${(health.failureRate * 100).toFixed(1)}% of ${health.reads + health.failedReads}`,
+      ],
+    ];
+
+    container.innerHTML = `
+      <div class="link-health-header link-health-${quality}">
+        Link ${quality}${health.lastError ? ` • last error: ${health.lastError}` : ""}
+      </div>
+      <div class="property-grid">
+        ${metrics
+          .map(
+            ([label, value, meta]) => `
+          <div class="property-cell link-health-cell">
+            <div class="property-offset">${label}</div>
+            <div class="property-value">${value}</div>
+            <div class="property-meta">${meta}</div>
+          </div>`,
+          )
+          .join("")}
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,95 @@
+// trainers.js - Remembered trainers with nicknames (persisted in localStorage)
+
+class KnownTrainers {
+  constructor() {
+    this.trainers = this.load(); // [{ id, name, nickname, simulated, lastConnected }]
+    this.autoConnect = this.loadAutoConnect();
+  }
+
+  // Most recently connected first
+  list() {
+    return [...this.trainers].sort(
+      (a, b) => (b.lastConnected || 0) - (a.lastConnected || 0),
+    );
+  }
+
+  get(id) {
+    return this.trainers.find((t) => t.id === id) || null;
+  }
+
+  // The trainer used last, if any
+  last() {
+    return this.list()[0] || null;
+  }
+
+  // Add or refresh a trainer after a successful connection
+  remember(device, simulated = false) {
+    const existing = this.get(device.id);
+    if (existing) {
+      existing.name = device.name;
+      existing.simulated = simulated;
+      existing.lastConnected = Date.now();
+    } else {
+      this.trainers.push({
+        id: device.id,
+        name: device.name,
+        nickname: device.name,
+        simulated,
+        lastConnected: Date.now(),
+      });
+    }
+    this.save();
+  }
+
+  rename(id, nickname) {
+    const trainer = this.get(id);
+    if (!trainer) {
+      return;
+    }
+    trainer.nickname = nickname || trainer.name;
+    this.save();
+  }
+
+  forget(id) {
+    this.trainers = this.trainers.filter((t) => t.id !== id);
+    this.save();
+  }
+
+  setAutoConnect(enabled) {
+    this.autoConnect = enabled;
+    try {
+      localStorage.setItem("vitruvian.autoConnect", enabled ? "1" : "0");
+    } catch {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem("vitruvian.knownTrainers");
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  loadAutoConnect() {
+    try {
+      return localStorage.getItem("vitruvian.autoConnect") === "1";
+    } catch {
+      return false;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        "vitruvian.knownTrainers",
+        JSON.stringify(this.trainers),
+      );
+    } catch {
+      // Ignore storage errors (e.g., private browsing).
+    }
+  }
+}
@@ -0,0 +1,647 @@
+// transport.js - Links between VitruvianDevice and a trainer
+//
+// VitruvianDevice does framing, queueing, polling and parsing; a transport only
+// moves bytes. Every transport implements the same small interface:
+//
+//   connect(options)  open the link (options are transport specific)
+//   reconnect()       reopen the link to the same trainer after a dropout
+//   disconnect()      close the link
+//   write(bytes, { withResponse })  send a frame to the command characteristic
+//   read(channel)     read a polled characteristic (TransportChannel) -> Uint8Array
+//   hasChannel(channel)             whether read(channel) is available
+//   readDeviceInfo()  Device Information fields (see DEVICE_INFO_CHARS)
+//   subscribe(handler)              handler(uuid, bytes) for every notification;
+//                                   returns a function that unsubscribes
+//   isAvailable()     whether the transport can be used in this environment
+//   isConnected, id, name
+//   onDisconnect      callback when the link drops for any reason
+//   onLog             callback (message, type) for diagnostics
+//
+// WebBluetoothTransport talks to navigator.bluetooth (or SimulatedBluetooth),
+// MockTransport runs in memory (optionally backed by a VitruvianSimulator) and
+// WebSocketTransport bridges to a helper process that owns the radio.
+// device-node.js loads the device code with these transports in Node.
+
+// Polled characteristics
+const TransportChannel = {
+  MONITOR: "monitor", // 0x0039 position/load samples
+  PROPERTY: "property", // 0x003f device properties
+};
+
+// Shared notification fan-out and callbacks
+class Transport {
+  constructor() {
+    this.isConnected = false;
+    this.onDisconnect = null; // Callback when the link drops
+    this.onLog = null; // Callback (message, type)
+    this.notificationHandlers = [];
+  }
+
+  get id() {
+    return null;
+  }
+
+  get name() {
+    return null;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  hasChannel(channel) {
+    return Object.values(TransportChannel).includes(channel);
+  }
+
+  async readDeviceInfo() {
+    return createDeviceInfo();
+  }
+
+  subscribe(handler) {
+    this.notificationHandlers.push(handler);
+    return () => {
+      this.notificationHandlers = this.notificationHandlers.filter(
+        (h) => h !== handler,
+      );
+    };
+  }
+
+  emitNotification(uuid, bytes) {
+    for (const handler of this.notificationHandlers) {
+      try {
+        handler(uuid, bytes);
+      } catch (error) {
+        console.error("Notification handler error:", error);
+      }
+    }
+  }
+
+  emitDisconnect() {
+    this.isConnected = false;
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+
+  log(message, type = "info") {
+    if (this.onLog) {
+      this.onLog(message, type);
+    }
+  }
+}
+
+// Web Bluetooth (navigator.bluetooth or a drop-in such as SimulatedBluetooth)
+class WebBluetoothTransport extends Transport {
+  constructor(bluetooth) {
+    super();
+    this.bluetooth = bluetooth;
+    this.device = null;
+    this.server = null;
+    this.rxChar = null;
+    this.monitorChar = null;
+    this.propertyChar = null;
+    this.repNotifyChar = null;
+    this.notifyHandlers = []; // {char, handler} pairs, removed on disconnect
+    this.gattDisconnectHandler = () => {
+      this.cleanup();
+      this.emitDisconnect();
+    };
+  }
+
+  get id() {
+    return this.device ? this.device.id : null;
+  }
+
+  get name() {
+    return this.device ? this.device.name : null;
+  }
+
+  isAvailable() {
+    return !!this.bluetooth;
+  }
+
+  // Whether paired devices can be listed without the chooser (getDevices)
+  supportsKnownDevices() {
+    return !!this.bluetooth && typeof this.bluetooth.getDevices === "function";
+  }
+
+  // Connect via the chooser, or to a remembered device when options.deviceId
+  // is given. Falls back to a chooser filtered to options.name when the
+  // browser can't list paired devices (that path needs a user gesture).
+  async connect(options = {}) {
+    const { deviceId = null, name = null } = options;
+    let device = null;
+
+    if (deviceId) {
+      if (this.supportsKnownDevices()) {
+        this.log("Looking up remembered device...", "info");
+        const devices = await this.bluetooth.getDevices();
+        device = devices.find((d) => d.id === deviceId) || null;
+      }
+      if (!device && !name) {
+        throw new Error("Remembered device is no longer paired");
+      }
+    }
+
+    if (!device) {
+      this.log(
+        name
+          ? `Requesting Bluetooth device "${name}"...`
+          : "Requesting Bluetooth device...",
+        "info",
+      );
+      device = await this.bluetooth.requestDevice({
+        filters: [name ? { name } : { namePrefix: "Vee" }],
+        optionalServices: [
+          NUS_SERVICE_UUID,
+          GATT_SERVICE_UUID,
+          DEVICE_INFO_SERVICE_UUID,
+        ],
+      });
+    }
+
+    this.device = device;
+    this.log(`Found device: ${this.device.name}`, "success");
+
+    // Listen for disconnection (the chooser may hand back the same device object)
+    this.device.removeEventListener(
+      "gattserverdisconnected",
+      this.gattDisconnectHandler,
+    );
+    this.device.addEventListener(
+      "gattserverdisconnected",
+      this.gattDisconnectHandler,
+    );
+
+    await this.connectGatt();
+  }
+
+  async reconnect() {
+    if (!this.device) {
+      throw new Error("No device to reconnect to");
+    }
+    this.cleanup();
+    await this.connectGatt();
+  }
+
+  // Revoke the browser's permission for a remembered device (where supported)
+  async forgetKnownDevice(deviceId) {
+    if (!this.supportsKnownDevices()) {
+      return false;
+    }
+    const devices = await this.bluetooth.getDevices();
+    const device = devices.find((d) => d.id === deviceId);
+    if (!device || typeof device.forget !== "function") {
+      return false;
+    }
+    await device.forget();
+    return true;
+  }
+
+  // Connect to the GATT server of the chosen device and set up characteristics
+  async connectGatt() {
+    // Connect to GATT server
+    this.log("Connecting to GATT server...", "info");
+    this.server = await this.device.gatt.connect();
+
+    this.log("Connected! Discovering services...", "success");
+
+    // Get the NUS service
+    const nusService = await this.server.getPrimaryService(NUS_SERVICE_UUID);
+    this.log("Found NUS service", "success");
+
+    // Get all characteristics
+    const characteristics = await nusService.getCharacteristics();
+    this.log(`Discovered ${characteristics.length} characteristics`, "info");
+
+    // Find and store our characteristics
+    for (const char of characteristics) {
+      const uuid = char.uuid.toLowerCase();
+      this.log(`  Characteristic: ${uuid}`, "info");
+
+      if (uuid === NUS_RX_CHAR_UUID.toLowerCase()) {
+        this.rxChar = char;
+        this.log("    -> Using as command write characteristic", "success");
+      }
+      if (uuid === MONITOR_CHAR_UUID.toLowerCase()) {
+        this.monitorChar = char;
+        this.log("    -> Tagged monitor polling handle (0x0039)", "success");
+      }
+      if (uuid === PROPERTY_CHAR_UUID.toLowerCase()) {
+        this.propertyChar = char;
+        this.log("    -> Tagged property polling handle (0x003f)", "success");
+      }
+      if (uuid === REP_NOTIFY_CHAR_UUID.toLowerCase()) {
+        this.repNotifyChar = char;
+        this.log("    -> Tagged rep notification handle (0x0036)", "success");
+      }
+    }
+
+    if (!this.rxChar) {
+      throw new Error("RX characteristic not found");
+    }
+
+    // Enable core notifications
+    await this.enableCoreNotifications(characteristics);
+
+    this.isConnected = true;
+  }
+
+  // Read the standard Device Information service (0x180a)
+  async readDeviceInfo() {
+    const info = createDeviceInfo();
+
+    let service;
+    try {
+      service = await this.server.getPrimaryService(DEVICE_INFO_SERVICE_UUID);
+    } catch (error) {
+      this.log("Device Information service not available", "info");
+      return info;
+    }
+
+    const decoder = new TextDecoder();
+    for (const [field, uuid] of Object.entries(DEVICE_INFO_CHARS)) {
+      try {
+        const char = await service.getCharacteristic(uuid);
+        const value = await char.readValue();
+        info[field] = decoder.decode(value).replace(/\0+$/, "").trim();
+      } catch (error) {
+        // Not exposed by this unit, or blocked by the browser (Chrome's
+        // Web Bluetooth blocklist excludes the serial number string)
+      }
+    }
+    return info;
+  }
+
+  // Enable core BLE notifications
+  async enableCoreNotifications(characteristics) {
+    try {
+      this.log("Enabling core BLE subscriptions...", "info");
+
+      // Enable notifications on all notify characteristics
+      for (const char of characteristics) {
+        const uuid = char.uuid.toLowerCase();
+
+        // Check if this is one of our notify characteristics
+        if (NOTIFY_CHAR_UUIDS.some((u) => u.toLowerCase() === uuid)) {
+          this.log(`  Enabling notifications on ${uuid}...`, "info");
+
+          await char.startNotifications();
+          this.addNotifyHandler(char, (event) => {
+            const value = event.target.value;
+            this.emitNotification(
+              uuid,
+              new Uint8Array(value.buffer, value.byteOffset, value.byteLength),
+            );
+          });
+          this.log("    -> Notifications active", "success");
+        }
+      }
+
+      this.log("Core notifications enabled!", "success");
+    } catch (error) {
+      this.log(`Failed to enable notifications: ${error.message}`, "error");
+    }
+  }
+
+  // Attach a notification handler, remembering it so a reconnect doesn't stack duplicates
+  addNotifyHandler(char, handler) {
+    char.addEventListener("characteristicvaluechanged", handler);
+    this.notifyHandlers.push({ char, handler });
+  }
+
+  hasChannel(channel) {
+    return !!this.getChannelChar(channel);
+  }
+
+  getChannelChar(channel) {
+    if (channel === TransportChannel.MONITOR) return this.monitorChar;
+    if (channel === TransportChannel.PROPERTY) return this.propertyChar;
+    return null;
+  }
+
+  async read(channel) {
+    const char = this.getChannelChar(channel);
+    if (!char) {
+      throw new Error(`No characteristic for channel ${channel}`);
+    }
+    const value = await char.readValue();
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  async write(bytes, options = {}) {
+    if (!this.rxChar) {
+      throw new Error("Not connected");
+    }
+    if (options.withResponse === false) {
+      await this.rxChar.writeValueWithoutResponse(bytes);
+    } else {
+      await this.rxChar.writeValueWithResponse(bytes);
+    }
+  }
+
+  async disconnect() {
+    if (this.device && this.device.gatt.connected) {
+      // Fires gattserverdisconnected, which cleans up and reports it
+      await this.device.gatt.disconnect();
+    }
+    this.cleanup();
+    this.isConnected = false;
+  }
+
+  // Drop characteristic handles and notification handlers
+  cleanup() {
+    for (const { char, handler } of this.notifyHandlers) {
+      char.removeEventListener("characteristicvaluechanged", handler);
+    }
+    this.notifyHandlers = [];
+    this.rxChar = null;
+    this.monitorChar = null;
+    this.propertyChar = null;
+    this.repNotifyChar = null;
+  }
+}
+
+// In-memory transport for tests and demos. With a VitruvianSimulator the
+// writes, reads and notifications go straight to the model; without one,
+// writes are recorded in `writes` and reads return `reads[channel]`.
+class MockTransport extends Transport {
+  constructor(simulator = null) {
+    super();
+    this.simulator = simulator;
+    this.writes = []; // { bytes, withResponse }
+    this.reads = {}; // channel -> Uint8Array returned by read()
+    this.failConnects = 0; // Number of upcoming connect() calls that should fail
+    this.deviceInfo = simulator ? { ...SIM_DEVICE_INFO } : createDeviceInfo();
+
+    if (this.simulator) {
+      this.simulator.onNotify = (uuid, bytes) => {
+        if (this.isConnected) {
+          this.emitNotification(uuid.toLowerCase(), bytes);
+        }
+      };
+    }
+  }
+
+  get id() {
+    return "mock";
+  }
+
+  get name() {
+    return "Mock Trainer";
+  }
+
+  async connect() {
+    if (this.failConnects > 0) {
+      this.failConnects--;
+      throw new Error("Mock connection failure");
+    }
+    this.isConnected = true;
+    if (this.simulator) {
+      this.simulator.start();
+    }
+    this.log("Mock transport connected", "success");
+  }
+
+  async reconnect() {
+    await this.connect();
+  }
+
+  async disconnect() {
+    if (!this.isConnected) {
+      return;
+    }
+    if (this.simulator) {
+      this.simulator.stop();
+    }
+    this.emitDisconnect();
+  }
+
+  async readDeviceInfo() {
+    return { ...this.deviceInfo };
+  }
+
+  // Drop the link without stopping the simulator, like a radio dropout
+  simulateDropout(failedAttempts = 0) {
+    this.failConnects = failedAttempts;
+    if (this.isConnected) {
+      this.emitDisconnect();
+    }
+  }
+
+  // Deliver a notification as if the trainer sent it
+  notify(uuid, bytes) {
+    this.emitNotification(uuid.toLowerCase(), bytes);
+  }
+
+  async read(channel) {
+    if (!this.isConnected) {
+      throw new Error("Not connected");
+    }
+    if (this.simulator) {
+      if (channel === TransportChannel.MONITOR) {
+        return this.simulator.readMonitor();
+      }
+      if (channel === TransportChannel.PROPERTY) {
+        return this.simulator.readProperty();
+      }
+    }
+    return this.reads[channel] || new Uint8Array(16);
+  }
+
+  async write(bytes, options = {}) {
+    if (!this.isConnected) {
+      throw new Error("Not connected");
+    }
+    const copy = new Uint8Array(bytes);
+    this.writes.push({
+      bytes: copy,
+      withResponse: options.withResponse !== false,
+    });
+    if (this.simulator) {
+      this.simulator.handleWrite(copy);
+    }
+  }
+}
+
+// Bridge to a local helper process over WebSocket. The helper owns the radio
+// and speaks JSON:
+//   request  { id, op: "connect" | "write" | "read" | "info" | "disconnect", ...args }
+//   response { id, ok, data?, name?, deviceId?, info?, error? }   (data is hex)
+//   event    { event: "notify", uuid, data } | { event: "disconnect" }
+class WebSocketTransport extends Transport {
+  constructor(url, WebSocketImpl = null) {
+    super();
+    this.url = url;
+    this.WebSocketImpl =
+      WebSocketImpl || (typeof WebSocket !== "undefined" ? WebSocket : null);
+    this.socket = null;
+    this.nextRequestId = 1;
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.requestTimeout = 10000; // ms
+    this.peerId = null;
+    this.peerName = null;
+    this.lastConnectOptions = {};
+  }
+
+  get id() {
+    return this.peerId;
+  }
+
+  get name() {
+    return this.peerName;
+  }
+
+  isAvailable() {
+    return !!this.WebSocketImpl;
+  }
+
+  // options are forwarded to the helper (e.g. { deviceId, name })
+  async connect(options = {}) {
+    this.lastConnectOptions = options;
+    await this.openSocket();
+    const response = await this.request("connect", options);
+    this.peerId = response.deviceId || null;
+    this.peerName = response.name || null;
+    this.isConnected = true;
+    this.log(`Connected through helper at ${this.url}`, "success");
+  }
+
+  async reconnect() {
+    await this.connect(this.lastConnectOptions);
+  }
+
+  async disconnect() {
+    if (this.socket && this.isConnected) {
+      try {
+        await this.request("disconnect");
+      } catch (error) {
+        // The helper may already have dropped the link
+      }
+    }
+    // Close the socket too, or it keeps the helper (and Node) alive
+    const socket = this.socket;
+    if (socket) {
+      socket.close();
+      this.handleSocketClose(socket);
+    }
+    if (this.isConnected) {
+      this.emitDisconnect();
+    }
+  }
+
+  async readDeviceInfo() {
+    const response = await this.request("info");
+    return { ...createDeviceInfo(), ...(response.info || {}) };
+  }
+
+  async read(channel) {
+    const response = await this.request("read", { channel });
+    return hexToBytes(response.data);
+  }
+
+  async write(bytes, options = {}) {
+    await this.request("write", {
+      data: bytesToHex(bytes),
+      withResponse: options.withResponse !== false,
+    });
+  }
+
+  openSocket() {
+    if (this.socket && this.socket.readyState === 1) {
+      return Promise.resolve();
+    }
+    if (!this.WebSocketImpl) {
+      return Promise.reject(new Error("WebSocket is not available"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocketImpl(this.url);
+      socket.onopen = () => {
+        this.socket = socket;
+        resolve();
+      };
+      socket.onerror = () => {
+        reject(new Error(`Could not reach helper at ${this.url}`));
+      };
+      socket.onclose = () => this.handleSocketClose(socket);
+      socket.onmessage = (event) => this.handleMessage(event.data);
+    });
+  }
+
+  handleSocketClose(socket) {
+    if (socket !== this.socket) {
+      return;
+    }
+    this.socket = null;
+    for (const { reject } of this.pending.values()) {
+      reject(new Error("Helper connection closed"));
+    }
+    this.pending.clear();
+    if (this.isConnected) {
+      this.emitDisconnect();
+    }
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.log(`Ignoring malformed helper message: ${data}`, "error");
+      return;
+    }
+
+    if (message.event === "notify") {
+      this.emitNotification(
+        message.uuid.toLowerCase(),
+        hexToBytes(message.data),
+      );
+      return;
+    }
+    if (message.event === "disconnect") {
+      if (this.isConnected) {
+        this.emitDisconnect();
+      }
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      return;
+    }
+    this.pending.delete(message.id);
+    if (message.ok) {
+      pending.resolve(message);
+    } else {
+      pending.reject(new Error(message.error || "Helper request failed"));
+    }
+  }
+
+  request(op, args = {}) {
+    if (!this.socket) {
+      return Promise.reject(new Error("Not connected to helper"));
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.pending.delete(id)) {
+          reject(new Error(`Helper request "${op}" timed out`));
+        }
+      }, this.requestTimeout);
+
+      this.pending.set(id, {
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      this.socket.send(JSON.stringify({ id, op, ...args }));
+    });
+  }
+}